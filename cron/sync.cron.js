@@ -1,50 +1,92 @@
 #!/usr/bin/env node
 /**
  * cron/sync.cron.js
- * Lance des sync périodiques (states + sltp).
- * - Toutes les heures: range 1..maxExistingId
- * - Optionnel: au démarrage, lance une première fois après 10s
+ * Lance des sync périodiques.
+ * Tout tourne dans ce process via le moteur de sync (services/syncEngine.js), plus de `node sync.js`.
+ * - Toutes les 10 min (SYNC_EVENTS_CRON): sync incrémentale, `syncEvents()` (= sync.js --mode events)
+ *   (logs TradeEvent depuis le dernier bloc traité, seuls les trades touchés sont relus)
+ *   + vérif des reorgs: les lignes pas encore confirmées (SYNC_CONFIRMATIONS) sont comparées
+ *   aux hash canoniques, rollback + resync si leur bloc a disparu
+ * - Une fois par jour (SYNC_FULL_CRON): passe d'intégrité complète, ids 1..maxExistingId
+ *   (syncStates + syncSLTP), rattrape ce que les events auraient raté
+ * - Au démarrage, après 10s: passe complète puis incrémentale (pratique après reboot)
  */
 
+require("dotenv").config();
+
 const cron = require("node-cron");
-const { spawn } = require("child_process");
-
-function runSync(args, label) {
-  return new Promise((resolve) => {
-    const p = spawn("node", ["sync.js", ...args], { stdio: "inherit" });
-    p.on("close", (code) => {
-      console.log(`[cron] ${label} exit code=${code}`);
-      resolve(code);
-    });
+const { createSyncEngine } = require("../services/syncEngine");
+
+const EVENTS_SCHEDULE = process.env.SYNC_EVENTS_CRON || "*/10 * * * *";
+const FULL_SCHEDULE = process.env.SYNC_FULL_CRON || "30 3 * * *";
+
+const engine = createSyncEngine();
+
+// Une passe qui échoue est loggée, la suivante repart normalement
+async function runSync(label, fn) {
+  try {
+    console.log(`[cron] ${label} done`, await fn());
+  } catch (e) {
+    console.error(`[cron] ${label} failed:`, e.message);
+  }
+}
+
+// Une seule sync à la fois: une passe complète peut durer plus de 10 min,
+// les runs qui tombent pendant ce temps sont sautés (le suivant reprendra au curseur).
+let running = null;
+
+async function exclusive(label, fn) {
+  if (running) {
+    console.log(`[cron] ${label} skipped: ${running} still running`);
+    return;
+  }
+  running = label;
+  try {
+    await fn();
+  } finally {
+    running = null;
+  }
+}
+
+async function runIncremental() {
+  await exclusive("events", async () => {
+    console.log(`[cron] Incremental sync starting @ ${new Date().toISOString()}`);
+    await runSync("events", () => engine.syncEvents());
   });
 }
 
-async function runHourly() {
-  // On utilise --range 1 N (N= count), et sync.js va filter <= maxExistingId onchain.
-  // Donc on met un count "très grand" et le script coupera tout seul.
-  // Mais ici on veut plutôt faire: range 1 1000000, comme ça ça couvre tout.
-  // Si tu veux être plus strict, je te donne une variante après.
-  const COUNT_BIG = 1000000;
+async function runFull() {
+  await exclusive("full", async () => {
+    console.log(`[cron] Full sync starting @ ${new Date().toISOString()}`);
 
-  console.log(`[cron] Hourly sync starting @ ${new Date().toISOString()}`);
+    const maxExistingId = await engine.latestTradeId();
+    const ids = Array.from({ length: maxExistingId }, (_, i) => i + 1);
 
-  // 1) states (et full fetch si état change, comme ton code le fait)
-  await runSync(["--mode", "states", "--range", "1", String(COUNT_BIG)], "states");
+    // 1) states (et full fetch si état change)
+    await runSync("states", () => engine.syncStates(ids));
 
-  // 2) sltp
-  await runSync(["--mode", "sltp", "--range", "1", String(COUNT_BIG)], "sltp");
+    // 2) sltp
+    await runSync("sltp", () => engine.syncSLTP(ids));
 
-  console.log(`[cron] Hourly sync done @ ${new Date().toISOString()}`);
+    console.log(`[cron] Full sync done @ ${new Date().toISOString()}`);
+  });
 }
 
-// Petit run au démarrage (pratique après reboot)
+// Petit run au démarrage: passe complète, puis events (initialise le curseur au 1er lancement).
+// Une passe complète en échec ne bloque pas la sync incrémentale.
 setTimeout(() => {
-  runHourly().catch((e) => console.error("[cron] startup run error:", e));
+  runFull()
+    .catch((e) => console.error("[cron] startup full error:", e))
+    .then(runIncremental)
+    .catch((e) => console.error("[cron] startup events error:", e));
 }, 10_000);
 
-// Toutes les heures à minute 0 (UTC locale machine)
-cron.schedule("*/10 * * * *", () => {
-  runHourly().catch((e) => console.error("[cron] hourly error:", e));
+cron.schedule(EVENTS_SCHEDULE, () => {
+  runIncremental().catch((e) => console.error("[cron] events error:", e));
+});
+
+cron.schedule(FULL_SCHEDULE, () => {
+  runFull().catch((e) => console.error("[cron] full error:", e));
 });
 
-console.log("[cron] Sync cron started. Schedule: 0 * * * *");
\ No newline at end of file
+console.log(`[cron] Sync cron started. events: ${EVENTS_SCHEDULE} | full: ${FULL_SCHEDULE}`);
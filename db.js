@@ -2,7 +2,9 @@
 // All SQL + prepared statements live here.
 // Trade IDs are PROVIDED BY YOU (no autoincrement).
 
+const { EventEmitter } = require("events");
 const Database = require("better-sqlite3");
+const migrations = require("./migrations");
 
 const DB_PATH = process.env.DB_PATH || "trades.db";
 
@@ -15,48 +17,80 @@ const db = new Database(DB_PATH, process.env.SQL_VERBOSE === "1"
 db.pragma("journal_mode = WAL");
 db.pragma("synchronous = NORMAL");
 
-function initDb() {
+// --------------------
+// Schema migrations (see migrations.js)
+// --------------------
+function ensureSchemaVersionTable() {
   db.exec(`
-    CREATE TABLE IF NOT EXISTS trades (
-      id INTEGER PRIMARY KEY,           -- <-- YOU provide the trade id
-
-      trader TEXT NOT NULL,             -- lowercase 0x...
-      assetId INTEGER NOT NULL,         -- uint32
-
-      isLong INTEGER NOT NULL,          -- 0/1
-      isLimit INTEGER NOT NULL DEFAULT 0, -- 0=stop entry, 1=limit entry
-
-      leverage INTEGER,                -- uint8
-
-      openPrice INTEGER,               -- E6
-      state INTEGER,                   -- 0=Order,1=Open,2=Closed,3=Cancelled
-      openTimestamp INTEGER,           -- uint32
-
-      fundingIndex TEXT,               -- uint128 decimal string
-
-      closePrice INTEGER,              -- E6
+    CREATE TABLE IF NOT EXISTS schema_version (
+      version INTEGER PRIMARY KEY,
+      name TEXT NOT NULL,
+      appliedAt INTEGER NOT NULL       -- unix ms
+    );
+  `);
+}
 
-      lotSize INTEGER,                 -- int32
-      closedLotSize INTEGER NOT NULL DEFAULT 0, -- int32 (partial close tracking)
+function currentSchemaVersion() {
+  const row = db.prepare(`SELECT MAX(version) AS v FROM schema_version;`).get();
+  return row && row.v !== null ? row.v : 0;
+}
 
-      stopLoss INTEGER NOT NULL DEFAULT 0,     -- E6, 0 = ignore
-      takeProfit INTEGER NOT NULL DEFAULT 0,   -- E6, 0 = ignore
+function pendingMigrations() {
+  const current = currentSchemaVersion();
+  return migrations
+    .filter((m) => m.version > current)
+    .sort((a, b) => a.version - b.version);
+}
 
-      lpLockedCapital TEXT,            -- uint64 decimal string
-      marginUsdc TEXT                  -- uint64 decimal string
-    );
-  `);
+// Applies every pending step in order (one transaction per step).
+// With dryRun, nothing is written: returns the steps that would run.
+function migrate({ dryRun = false, log = () => {} } = {}) {
+  ensureSchemaVersionTable();
+  const pending = pendingMigrations();
+
+  for (const m of pending) {
+    log(`${dryRun ? "[dry-run] would apply" : "applying"} v${m.version}: ${m.name}`);
+    if (dryRun) continue;
+
+    db.transaction(() => {
+      if (typeof m.up === "function") m.up(db);
+      else db.exec(m.up);
+      db.prepare(`INSERT INTO schema_version (version, name, appliedAt) VALUES (?, ?, ?);`)
+        .run(m.version, m.name, Date.now());
+    })();
+  }
+
+  return pending.map((m) => ({ version: m.version, name: m.name }));
+}
 
-  // Indexes
-  db.exec(`CREATE INDEX IF NOT EXISTS idx_trader ON trades(trader);`);
-  db.exec(`CREATE INDEX IF NOT EXISTS idx_trader_state_id ON trades(trader, state, id);`);
+function initDb() {
+  const applied = migrate();
+  if (applied.length) {
+    console.log(`[db] schema migrated to v${currentSchemaVersion()} (${applied.length} step(s))`);
+  }
+}
 
-  // Matching entry (state=0)
-  db.exec(`CREATE INDEX IF NOT EXISTS idx_entry_fast ON trades(assetId, state, isLimit, isLong, openPrice);`);
+// node db.js --migrate [--dry-run]
+function runCli(argv) {
+  const dryRun = argv.includes("--dry-run");
+
+  if (!argv.includes("--migrate")) {
+    ensureSchemaVersionTable();
+    console.log(`DB: ${DB_PATH} schema v${currentSchemaVersion()}, ${pendingMigrations().length} pending`);
+    console.log("Usage: node db.js --migrate [--dry-run]");
+    return;
+  }
+
+  ensureSchemaVersionTable();
+  console.log(`DB: ${DB_PATH} schema v${currentSchemaVersion()}`);
+  const steps = migrate({ dryRun, log: (msg) => console.log(" -", msg) });
+  if (!steps.length) console.log("Up to date, nothing to migrate.");
+  else if (!dryRun) console.log(`Done. schema v${currentSchemaVersion()}`);
+}
 
-  // Matching exits (state=1)
-  db.exec(`CREATE INDEX IF NOT EXISTS idx_sl_fast ON trades(assetId, state, isLong, stopLoss);`);
-  db.exec(`CREATE INDEX IF NOT EXISTS idx_tp_fast ON trades(assetId, state, isLong, takeProfit);`);
+if (require.main === module) {
+  runCli(process.argv.slice(2));
+  process.exit(0);
 }
 
 initDb();
@@ -92,6 +126,63 @@ const stmt = {
     ORDER BY id DESC;
   `),
 
+  // Downsampling: last snapshot of each `interval` ms bucket within [from, to]
+  // (CAST: JS numbers bind as REAL, we want integer division)
+  getExposureHistory: db.prepare(`
+    SELECT (s.ts / CAST(@interval AS INTEGER)) * CAST(@interval AS INTEGER) AS bucket, s.ts,
+           s.longLots, s.shortLots, s.longValueSum, s.shortValueSum,
+           s.longMaxProfit, s.shortMaxProfit, s.longMaxLoss, s.shortMaxLoss
+    FROM exposure_snapshots s
+    JOIN (
+      SELECT MAX(id) AS id
+      FROM exposure_snapshots
+      WHERE assetId = @assetId AND ts >= @from AND ts <= @to
+      GROUP BY ts / CAST(@interval AS INTEGER)
+    ) last ON last.id = s.id
+    ORDER BY s.ts ASC;
+  `),
+
+  // Latest snapshot per asset (warm start of exposuresMemory)
+  getLatestExposureSnapshots: db.prepare(`
+    SELECT s.*
+    FROM exposure_snapshots s
+    JOIN (SELECT MAX(id) AS id FROM exposure_snapshots GROUP BY assetId) last ON last.id = s.id;
+  `),
+
+  getAssets: db.prepare(`SELECT * FROM assets ORDER BY id ASC;`),
+
+  getSyncCursor: db.prepare(`SELECT name, block, updatedAt FROM sync_cursors WHERE name = ?;`),
+
+  getExecutionById: db.prepare(`SELECT * FROM executions WHERE id = ?;`),
+
+  getExecutionsByTrade: db.prepare(`
+    SELECT * FROM executions
+    WHERE tradeId = ?
+    ORDER BY id DESC
+    LIMIT ?;
+  `),
+
+  getExecutionsByStatus: db.prepare(`
+    SELECT * FROM executions
+    WHERE status = ?
+    ORDER BY id DESC
+    LIMIT ?;
+  `),
+
+  getTradeEvents: db.prepare(`
+    SELECT seq, ts, source, state, closePrice, closedLotSize, stopLoss, takeProfit
+    FROM trade_events
+    WHERE tradeId = ?
+    ORDER BY seq ASC;
+  `),
+
+  getTradeLifecycle: db.prepare(`
+    SELECT id, code, type, blockNumber, blockHash, txHash, logIndex, final, ts
+    FROM trade_lifecycle
+    WHERE tradeId = ?
+    ORDER BY blockNumber ASC, logIndex ASC;
+  `),
+
   // Entry match (state=0): returns {id, kind}
   matchEntry: db.prepare(`
     SELECT id,
@@ -112,6 +203,13 @@ const stmt = {
       );
   `),
 
+  // Everything services/orderBook.js indexes (pending orders + open positions)
+  getMatchableTrades: db.prepare(`
+    SELECT id, assetId, state, isLong, isLimit, openPrice, stopLoss, takeProfit
+    FROM trades
+    WHERE state IN (0, 1);
+  `),
+
   // Exits match (state=1): returns {id, kind} where kind is stopLoss/takeProfit
   matchExits: db.prepare(`
     SELECT id,
@@ -143,22 +241,80 @@ const stmt = {
   `),
 };
 
+// --------------------
+// Trade listing (GET /trades)
+// --------------------
+// Keyset pagination on id (newest first): the cursor is the last id of the previous page,
+// so deep pages stay an index range scan instead of an OFFSET walk.
+// One prepared statement per combination of filters, built lazily and cached.
+const LIST_FILTERS = {
+  trader: "trader = @trader",
+  assetId: "assetId = @assetId",
+  state: "state = @state",
+  isLong: "isLong = @isLong",
+  isLimit: "isLimit = @isLimit",
+  openFrom: "openTimestamp >= @openFrom",
+  openTo: "openTimestamp <= @openTo",
+  cursor: "id < @cursor",
+};
+
+const listStmtCache = new Map();
+
+function listTrades(filters, limit) {
+  const keys = Object.keys(LIST_FILTERS).filter((k) => filters[k] !== undefined && filters[k] !== null);
+  const cacheKey = keys.join(",");
+
+  let s = listStmtCache.get(cacheKey);
+  if (!s) {
+    const where = keys.length ? `WHERE ${keys.map((k) => LIST_FILTERS[k]).join(" AND ")}` : "";
+    s = db.prepare(`SELECT * FROM trades ${where} ORDER BY id DESC LIMIT @limit;`);
+    listStmtCache.set(cacheKey, s);
+  }
+
+  const params = { limit };
+  for (const k of keys) params[k] = filters[k];
+  return s.all(params);
+}
+
+// Bulk read by ids: same rows as stmt.getTradeById, read in one snapshot.
+// Returns found rows in request order (duplicates dropped) + the ids that do not exist.
+const getTradesByIds = db.transaction((ids) => {
+  const trades = [];
+  const notFound = [];
+  const seen = new Set();
+  for (const id of ids) {
+    if (seen.has(id)) continue;
+    seen.add(id);
+    const row = stmt.getTradeById.get(id);
+    if (row) trades.push(row);
+    else notFound.push(id);
+  }
+  return { trades, notFound };
+});
+
 // --------------------
 // WRITE statements
 // --------------------
 
+// Block provenance: a write that says which block it was read at (syncBlock + syncBlockHash)
+// restamps the row and makes it unconfirmed again; a write without block info keeps the stamp.
+const STAMP_SET = `
+    syncFinal = CASE WHEN @syncBlock IS NULL THEN syncFinal ELSE 0 END,
+    syncBlock = COALESCE(@syncBlock, syncBlock),
+    syncBlockHash = CASE WHEN @syncBlock IS NULL THEN syncBlockHash ELSE @syncBlockHash END`;
+
 // Full UPSERT (atomic): insert if missing, update if exists.
 const upsertTradeSql = `
   INSERT INTO trades (
     id, trader, assetId, isLong, isLimit, leverage,
     openPrice, state, openTimestamp, fundingIndex,
     closePrice, lotSize, closedLotSize, stopLoss, takeProfit,
-    lpLockedCapital, marginUsdc
+    lpLockedCapital, marginUsdc, syncBlock, syncBlockHash
   ) VALUES (
     @id, @trader, @assetId, @isLong, @isLimit, @leverage,
     @openPrice, @state, @openTimestamp, @fundingIndex,
     @closePrice, @lotSize, @closedLotSize, @stopLoss, @takeProfit,
-    @lpLockedCapital, @marginUsdc
+    @lpLockedCapital, @marginUsdc, @syncBlock, @syncBlockHash
   )
   ON CONFLICT(id) DO UPDATE SET
     trader=excluded.trader,
@@ -176,7 +332,8 @@ const upsertTradeSql = `
     stopLoss=excluded.stopLoss,
     takeProfit=excluded.takeProfit,
     lpLockedCapital=excluded.lpLockedCapital,
-    marginUsdc=excluded.marginUsdc;
+    marginUsdc=excluded.marginUsdc,
+    ${STAMP_SET};
 `;
 
 stmt.upsertTrade = db.prepare(upsertTradeSql);
@@ -201,7 +358,8 @@ stmt.patchState = db.prepare(`
     state = COALESCE(@state, state),
     closePrice = COALESCE(@closePrice, closePrice),
     closedLotSize = COALESCE(@closedLotSize, closedLotSize),
-    fundingIndex = COALESCE(@fundingIndex, fundingIndex)
+    fundingIndex = COALESCE(@fundingIndex, fundingIndex),
+    ${STAMP_SET}
   WHERE id = @id
 `);
 
@@ -209,39 +367,283 @@ stmt.patchState = db.prepare(`
 stmt.patchSLTP = db.prepare(`
   UPDATE trades SET
     stopLoss = COALESCE(@stopLoss, stopLoss),
-    takeProfit = COALESCE(@takeProfit, takeProfit)
+    takeProfit = COALESCE(@takeProfit, takeProfit),
+    ${STAMP_SET}
   WHERE id = @id
 `);
 
+// History (append-only)
+stmt.insertTradeEvent = db.prepare(`
+  INSERT INTO trade_events (
+    tradeId, ts, source, state, closePrice, closedLotSize, stopLoss, takeProfit
+  ) VALUES (
+    @tradeId, @ts, @source, @state, @closePrice, @closedLotSize, @stopLoss, @takeProfit
+  )
+`);
+
+// Assets registry
+// insertAssetIfMissing: seeding never overwrites what was edited in the DB
+stmt.insertAssetIfMissing = db.prepare(`
+  INSERT INTO assets (id, symbol, class, session, priceDecimals, minLeverage, maxLeverage, enabled)
+  VALUES (@id, @symbol, @class, @session, @priceDecimals, @minLeverage, @maxLeverage, @enabled)
+  ON CONFLICT DO NOTHING
+`);
+
+stmt.upsertAsset = db.prepare(`
+  INSERT INTO assets (id, symbol, class, session, priceDecimals, minLeverage, maxLeverage, enabled)
+  VALUES (@id, @symbol, @class, @session, @priceDecimals, @minLeverage, @maxLeverage, @enabled)
+  ON CONFLICT(id) DO UPDATE SET
+    symbol=excluded.symbol,
+    class=excluded.class,
+    session=excluded.session,
+    priceDecimals=excluded.priceDecimals,
+    minLeverage=excluded.minLeverage,
+    maxLeverage=excluded.maxLeverage,
+    enabled=excluded.enabled
+`);
+
+// Executions (tracked onchain transactions)
+stmt.insertExecution = db.prepare(`
+  INSERT INTO executions (
+    tradeId, kind, wallet, nonce, hash, gasLimit, gasPrice, maxFeePerGas, maxPriorityFeePerGas,
+    status, attempt, replaces, blockNumber, errorClass, error, createdAt, updatedAt
+  ) VALUES (
+    @tradeId, @kind, @wallet, @nonce, @hash, @gasLimit, @gasPrice, @maxFeePerGas, @maxPriorityFeePerGas,
+    @status, @attempt, @replaces, @blockNumber, @errorClass, @error, @createdAt, @updatedAt
+  )
+`);
+
+stmt.patchExecution = db.prepare(`
+  UPDATE executions SET
+    status = COALESCE(@status, status),
+    hash = COALESCE(@hash, hash),
+    blockNumber = COALESCE(@blockNumber, blockNumber),
+    errorClass = COALESCE(@errorClass, errorClass),
+    error = COALESCE(@error, error),
+    updatedAt = @updatedAt
+  WHERE id = @id
+`);
+
+// Reorg handling (sync.js --mode reorg)
+stmt.finalizeBlock = db.prepare(`
+  UPDATE trades SET syncFinal = 1
+  WHERE syncFinal = 0 AND syncBlock = @number AND syncBlockHash = @hash
+`);
+
+stmt.deleteTrade = db.prepare(`DELETE FROM trades WHERE id = ?`);
+
+stmt.finalizeLifecycleBlock = db.prepare(`
+  UPDATE trade_lifecycle SET final = 1
+  WHERE final = 0 AND blockNumber = @number AND blockHash = @hash
+`);
+
+stmt.deleteLifecycleByBlock = db.prepare(`
+  DELETE FROM trade_lifecycle WHERE blockNumber = @number AND blockHash = @hash
+`);
+
+// Decoded TradeEvent logs (the same log reported twice is ignored)
+stmt.insertLifecycle = db.prepare(`
+  INSERT INTO trade_lifecycle (tradeId, code, type, blockNumber, blockHash, txHash, logIndex, ts)
+  VALUES (@tradeId, @code, @type, @blockNumber, @blockHash, @txHash, @logIndex, @ts)
+  ON CONFLICT(txHash, logIndex) DO NOTHING
+`);
+
+stmt.getLifecycleById = db.prepare(`SELECT * FROM trade_lifecycle WHERE id = ?`);
+
+// Incremental sync cursors
+stmt.upsertSyncCursor = db.prepare(`
+  INSERT INTO sync_cursors (name, block, updatedAt)
+  VALUES (@name, @block, @updatedAt)
+  ON CONFLICT(name) DO UPDATE SET
+    block=excluded.block,
+    updatedAt=excluded.updatedAt
+`);
+
+stmt.insertExposureSnapshot = db.prepare(`
+  INSERT INTO exposure_snapshots (
+    assetId, ts, longLots, shortLots, longValueSum, shortValueSum,
+    longMaxProfit, shortMaxProfit, longMaxLoss, shortMaxLoss
+  ) VALUES (
+    @assetId, @ts, @longLots, @shortLots, @longValueSum, @shortValueSum,
+    @longMaxProfit, @shortMaxProfit, @longMaxLoss, @shortMaxLoss
+  )
+`);
+
+// retention: snapshots older than @before, except the latest one of each asset (warm start,
+// value carried by the history until the next change)
+stmt.pruneExposureSnapshots = db.prepare(`
+  DELETE FROM exposure_snapshots
+  WHERE ts < @before
+    AND id NOT IN (SELECT MAX(id) FROM exposure_snapshots GROUP BY assetId)
+`);
+
+const TRACKED_FIELDS = ["state", "stopLoss", "takeProfit", "closedLotSize"];
+// bookkeeping columns: restamping identical data is not a change
+const PROVENANCE_FIELDS = new Set(["syncBlock", "syncBlockHash", "syncFinal"]);
+
+// Must be called inside a transaction, with the row read before and after the write.
+// New trades always get a first event; existing ones only when a tracked field moved.
+function recordTradeEvent(prev, next, source) {
+  if (!next) return false;
+  if (prev && TRACKED_FIELDS.every((f) => prev[f] === next[f])) return false;
+
+  stmt.insertTradeEvent.run({
+    tradeId: next.id,
+    ts: Date.now(),
+    source,
+    state: next.state,
+    closePrice: next.closePrice,
+    closedLotSize: next.closedLotSize,
+    stopLoss: next.stopLoss,
+    takeProfit: next.takeProfit,
+  });
+  return true;
+}
+
+// --------------------
+// Post-commit notifications
+// --------------------
+// commits.on("trades", (changes) => ...) where changes = [{ op: "insert"|"update"|"delete", source, trade }]
+// Emitted only once the transaction committed, and only for rows that really changed
+// (a sync upserting identical data stays silent). "delete" carries the last row seen.
+// commits.on("lifecycle", (items) => ...) where items = [{ event, trade }]: new trade_lifecycle
+// rows, with the trade row as stored at that time (null if not synced yet).
+const commits = new EventEmitter();
+commits.setMaxListeners(0);
+
+function trackChange(changes, prev, next, source) {
+  if (!next) return;
+  recordTradeEvent(prev, next, source);
+  if (prev && Object.keys(next).every((k) => PROVENANCE_FIELDS.has(k) || prev[k] === next[k])) return;
+  changes.push({ op: prev ? "update" : "insert", source, trade: next });
+}
+
+// Wraps db.transaction: fn receives a `changes` array as first argument,
+// listeners of `channel` are notified after COMMIT (never for a rolled back write).
+function writeTx(fn, channel = "trades") {
+  const run = db.transaction(fn);
+  return (...args) => {
+    const changes = [];
+    const out = run(changes, ...args);
+    if (changes.length) {
+      try {
+        commits.emit(channel, changes);
+      } catch (e) {
+        // data is committed: a broken listener must not turn the write into an error
+        console.error("[db] commit listener error:", e);
+      }
+    }
+    return out;
+  };
+}
+
 const tx = {
-  upsertTrade: db.transaction((payload) => {
+  upsertTrade: writeTx((changes, payload, source = "put") => {
+    const prev = stmt.getTradeById.get(payload.id);
     stmt.upsertTrade.run(payload);
-    return stmt.getTradeById.get(payload.id);
+    const next = stmt.getTradeById.get(payload.id);
+    trackChange(changes, prev, next, source);
+    return next;
   }),
 
-  patchTrade: db.transaction((payload) => {
+  patchTrade: writeTx((changes, payload, source = "patch") => {
+    const prev = stmt.getTradeById.get(payload.id);
     const info = stmt.patchTrade.run(payload);
     if (info.changes === 0) return null;
-    return stmt.getTradeById.get(payload.id);
+    const next = stmt.getTradeById.get(payload.id);
+    trackChange(changes, prev, next, source);
+    return next;
   }),
 
-  batchPatchStates: db.transaction((patches) => {
+  batchUpsert: writeTx((changes, payloads, source = "batchUpsert") => {
+    for (const p of payloads) {
+      const prev = stmt.getTradeById.get(p.id);
+      stmt.upsertTrade.run(p);
+      trackChange(changes, prev, stmt.getTradeById.get(p.id), source);
+    }
+    return payloads.length;
+  }),
+
+  batchPatchStates: writeTx((changes, patches, source = "batchPatchStates") => {
     let updated = 0;
     for (const p of patches) {
+      const prev = stmt.getTradeById.get(p.id);
       const info = stmt.patchState.run(p);
-      updated += info.changes ? 1 : 0;
+      if (!info.changes) continue;
+      updated += 1;
+      trackChange(changes, prev, stmt.getTradeById.get(p.id), source);
     }
     return updated;
   }),
 
-  batchPatchSLTP: db.transaction((patches) => {
+  batchPatchSLTP: writeTx((changes, patches, source = "batchPatchSLTP") => {
     let updated = 0;
     for (const p of patches) {
+      const prev = stmt.getTradeById.get(p.id);
       const info = stmt.patchSLTP.run(p);
-      updated += info.changes ? 1 : 0;
+      if (!info.changes) continue;
+      updated += 1;
+      trackChange(changes, prev, stmt.getTradeById.get(p.id), source);
     }
     return updated;
-  })
+  }),
+
+  // blocks: [{ number, hash }] still canonical and deep enough => rows stamped with them are final
+  finalizeBlocks: db.transaction((blocks) => {
+    let finalized = 0;
+    for (const b of blocks) {
+      finalized += stmt.finalizeBlock.run(b).changes;
+      stmt.finalizeLifecycleBlock.run(b);
+    }
+    return finalized;
+  }),
+
+  // Roll back what an orphaned block wrote: `payloads` are the canonical rows re-read after
+  // the reorg (upserted as source "reorg"), `deleteIds` trades that do not exist anymore.
+  // A delete only applies to a row still stamped with one of the `orphaned` blocks.
+  rollbackReorg: writeTx((changes, { orphaned, payloads, deleteIds }) => {
+    const stale = new Set(orphaned.map((b) => `${b.number}:${b.hash}`));
+    let deleted = 0;
+    let lifecycleDeleted = 0;
+
+    // the logs of an orphaned block did not happen (the canonical ones come back via events sync)
+    for (const b of orphaned) lifecycleDeleted += stmt.deleteLifecycleByBlock.run(b).changes;
+
+    for (const id of deleteIds) {
+      const prev = stmt.getTradeById.get(id);
+      if (!prev || !stale.has(`${prev.syncBlock}:${prev.syncBlockHash}`)) continue;
+      stmt.deleteTrade.run(id);
+      stmt.insertTradeEvent.run({
+        tradeId: id, ts: Date.now(), source: "reorg",
+        state: null, closePrice: null, closedLotSize: null, stopLoss: null, takeProfit: null,
+      });
+      changes.push({ op: "delete", source: "reorg", trade: prev });
+      deleted += 1;
+    }
+
+    for (const p of payloads) {
+      const prev = stmt.getTradeById.get(p.id);
+      stmt.upsertTrade.run(p);
+      trackChange(changes, prev, stmt.getTradeById.get(p.id), "reorg");
+    }
+
+    return { upserted: payloads.length, deleted, lifecycleDeleted };
+  }),
+
+  // events: [{ tradeId, code, type, blockNumber, blockHash, txHash, logIndex }] => count of new rows
+  insertLifecycle: writeTx((changes, events) => {
+    let inserted = 0;
+    for (const e of events) {
+      const info = stmt.insertLifecycle.run({ ...e, ts: Date.now() });
+      if (!info.changes) continue;
+      inserted += 1;
+      changes.push({
+        event: stmt.getLifecycleById.get(info.lastInsertRowid),
+        trade: stmt.getTradeById.get(e.tradeId) || null,
+      });
+    }
+    return inserted;
+  }, "lifecycle")
 };
 
-module.exports = { db, stmt, tx };
\ No newline at end of file
+module.exports = { db, stmt, tx, commits, listTrades, getTradesByIds };
\ No newline at end of file
@@ -0,0 +1,39 @@
+// executor/assetRegistry.js
+// Asset universe of the executor, resolved through the central registry
+// (services/assets.js, exposed as GET /assets on the public read API).
+// Only enabled assets of the requested class are returned.
+
+const fetch = require("node-fetch");
+
+const ASSET_CLASSES = ["crypto", "stock", "forex"];
+
+// assetClass: "crypto" | "stock" | "forex" | "all"
+async function fetchAssetRegistry({ readBase, assetClass = "all", agent }) {
+  if (assetClass !== "all" && !ASSET_CLASSES.includes(assetClass)) {
+    throw new Error(`Unknown asset class "${assetClass}" (${ASSET_CLASSES.join("|")}|all)`);
+  }
+
+  const qs = assetClass === "all" ? "enabled=1" : `class=${assetClass}&enabled=1`;
+  const res = await fetch(`${readBase}/assets?${qs}`, { agent });
+  const json = await res.json().catch(() => null);
+  if (!res.ok || !Array.isArray(json?.data)) {
+    throw new Error(`GET /assets failed: ${json?.error || `HTTP ${res.status}`}`);
+  }
+
+  const assets = json.data;
+  const bySymbol = {};
+  const byId = {};
+  for (const a of assets) {
+    bySymbol[a.symbol] = a;
+    byId[a.id] = a;
+  }
+
+  return {
+    assets,
+    pairs: assets.map((a) => a.symbol),
+    bySymbol,
+    byId,
+  };
+}
+
+module.exports = { fetchAssetRegistry, ASSET_CLASSES };
@@ -2,4 +2,9 @@
 module.exports = [
     "function executeOrder(uint256 tradeId, bytes oracleProof)",
     "function executeStopOrTakeProfit(uint256 tradeId, bytes oracleProof)",
-  ];
\ No newline at end of file
+    // batch mode: one oracle proof for every trade of the call, reverts as a whole.
+    // ⚠️ Signatures not confirmed against the CORE source: never called while batch mode is
+    // disabled (CORE_BATCH_CONFIRMED in executor/executor.js).
+    "function executeOrdersBatch(uint256[] tradeIds, bytes oracleProof)",
+    "function executeStopOrTakeProfitBatch(uint256[] tradeIds, bytes oracleProof)",
+  ];
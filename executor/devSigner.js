@@ -0,0 +1,112 @@
+#!/usr/bin/env node
+/**
+ * devSigner.js
+ * Local stand-in for a remote signing service (ethsigner / web3signer style JSON-RPC),
+ * so SIGNER_BACKEND=remote can be exercised without real infrastructure. DEV ONLY.
+ *
+ * Keys: keystores (KEYSTORE_FILES / KEYSTORE_DIR + KEYSTORE_PASSWORD_FILE) or DEV_SIGNER_KEYS=0x..,0x..
+ * Methods: eth_accounts, eth_signTransaction, eth_sign
+ * Listens on 127.0.0.1:DEV_SIGNER_PORT (default 7200); REMOTE_SIGNER_TOKEN enables Bearer auth.
+ *
+ * Usage:
+ * node executor/devSigner.js
+ */
+
+require("dotenv").config();
+
+const http = require("http");
+const { ethers } = require("ethers");
+const { loadSigners } = require("./signers");
+
+const PORT = Number(process.env.DEV_SIGNER_PORT || 7200);
+const HOST = "127.0.0.1";
+const TOKEN = process.env.REMOTE_SIGNER_TOKEN || "";
+
+// JSON-RPC hex tx => ethers TransactionRequest
+function toTxRequest(p) {
+  const num = (v) => (v === undefined || v === null ? undefined : ethers.BigNumber.from(v));
+  const tx = {
+    to: p.to || undefined,
+    data: p.data || p.input || "0x",
+    value: num(p.value),
+    gasLimit: num(p.gas || p.gasLimit),
+    nonce: p.nonce === undefined ? undefined : ethers.BigNumber.from(p.nonce).toNumber(),
+    chainId: p.chainId === undefined ? undefined : ethers.BigNumber.from(p.chainId).toNumber(),
+    type: p.type === undefined ? undefined : ethers.BigNumber.from(p.type).toNumber(),
+    gasPrice: num(p.gasPrice),
+    maxFeePerGas: num(p.maxFeePerGas),
+    maxPriorityFeePerGas: num(p.maxPriorityFeePerGas),
+  };
+  for (const k of Object.keys(tx)) if (tx[k] === undefined) delete tx[k];
+  return tx;
+}
+
+async function main() {
+  const backend = process.env.KEYSTORE_FILES || process.env.KEYSTORE_DIR ? "keystore" : "raw";
+  const env = backend === "raw" ? { PRIVATE_KEYS: process.env.DEV_SIGNER_KEYS } : process.env;
+  const wallets = await loadSigners({ backend, env });
+
+  const byAddress = new Map(wallets.map((w) => [w.address.toLowerCase(), w]));
+
+  function walletFor(address) {
+    const w = byAddress.get(String(address || "").toLowerCase());
+    if (!w) throw new Error(`Unknown account ${address}`);
+    return w;
+  }
+
+  const methods = {
+    eth_accounts: async () => wallets.map((w) => w.address),
+
+    eth_signTransaction: async ([tx]) => {
+      if (!tx || !tx.from) throw new Error("Missing transaction.from");
+      if (tx.nonce === undefined || tx.chainId === undefined || !(tx.gas || tx.gasLimit)) {
+        throw new Error("Transaction must be fully populated (nonce, gas, chainId)");
+      }
+      return walletFor(tx.from).signTransaction(toTxRequest(tx));
+    },
+
+    eth_sign: async ([address, data]) => walletFor(address).signMessage(ethers.utils.arrayify(data)),
+  };
+
+  const server = http.createServer((req, res) => {
+    const reply = (status, body) => {
+      res.writeHead(status, { "content-type": "application/json" });
+      res.end(JSON.stringify(body));
+    };
+
+    if (req.method !== "POST") return reply(405, { error: "POST JSON-RPC only" });
+    if (TOKEN && req.headers.authorization !== `Bearer ${TOKEN}`) return reply(401, { error: "Unauthorized" });
+
+    let raw = "";
+    req.on("data", (c) => {
+      raw += c;
+      if (raw.length > 256 * 1024) req.destroy();
+    });
+    req.on("end", async () => {
+      let msg;
+      try { msg = JSON.parse(raw); }
+      catch { return reply(400, { jsonrpc: "2.0", id: null, error: { code: -32700, message: "Parse error" } }); }
+
+      const fn = methods[msg.method];
+      if (!fn) return reply(200, { jsonrpc: "2.0", id: msg.id, error: { code: -32601, message: `Method not found: ${msg.method}` } });
+
+      try {
+        const result = await fn(msg.params || []);
+        console.log(`[DevSigner] ${msg.method}`);
+        reply(200, { jsonrpc: "2.0", id: msg.id, result });
+      } catch (e) {
+        console.error(`[DevSigner] ${msg.method} error:`, e.message);
+        reply(200, { jsonrpc: "2.0", id: msg.id, error: { code: -32000, message: e.message } });
+      }
+    });
+  });
+
+  server.listen(PORT, HOST, () => {
+    console.log(`[DevSigner] ${wallets.length} account(s) on http://${HOST}:${PORT} (${backend})`);
+  });
+}
+
+main().catch((e) => {
+  console.error("devSigner fatal:", e.message);
+  process.exit(1);
+});
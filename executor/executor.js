@@ -0,0 +1,862 @@
+#!/usr/bin/env node
+/**
+ * executor.js
+ * - Load the asset universe from GET /assets on the public read API (executor/assetRegistry.js,
+ *   enabled assets of --class)
+ * - Subscribe Supra WS to all its pairs
+ * - For each tick: call /match/entry and /match/exits on your public read API
+ * - Matched trades are queued by priority (SL > TP > entries, distance past trigger, size, age)
+ * - Execute on CORE: executeOrder / executeStopOrTakeProfit with Supra proof
+ * - Wallet rotation: 1 tx/sec per wallet, nonces assigned locally by WalletPool
+ * - Batch mode (one tx + one proof per asset chunk, per-trade fallback): DISABLED until the CORE
+ *   batch entrypoints are confirmed, EXEC_BATCH_SIZE > 1 is ignored
+ * - Optional eth_call simulation first: a reverting trade is skipped and resynced
+ * - Resyncs run in-process through the sync engine (services/syncEngine.js), no sync.js child
+ * - Every tx tracked (executor/txTracker.js): stuck => fee bump, dropped / retryable revert => retry
+ *
+ * Usage:
+ * node executor/executor.js --class crypto|stock|forex|all
+ */
+
+require("dotenv").config();
+
+const fetch = require("node-fetch");
+const http = require("http");
+const { WebSocket } = require("ws");
+const { ethers } = require("ethers");
+
+const CORE_ABI = require("./coreAbi");
+
+const VAULT_ABI = [
+  {
+    inputs: [],
+    name: "lpFreeCapital",
+    outputs: [{ internalType: "uint256", name: "", type: "uint256" }],
+    stateMutability: "view",
+    type: "function",
+  },
+];
+
+const { createProofFetcher } = require("./proofClient");
+const { WalletPool } = require("./walletPool");
+const { loadSigners } = require("./signers");
+const { fetchAssetRegistry } = require("./assetRegistry");
+const { TxTracker, classifyError } = require("./txTracker");
+const { PriorityScheduler, scoreExecution } = require("./scheduler");
+const { isSessionOpen, hasSession } = require("../services/sessions");
+const { clientCredentialsFromEnv, checkClientScope } = require("../write.auth");
+const { createSyncEngine } = require("../services/syncEngine");
+
+function parseArgs(argv) {
+  const out = { assetClass: null };
+  for (let i = 2; i < argv.length; i++) {
+    if (argv[i] === "--class") out.assetClass = argv[++i];
+  }
+  return out;
+}
+
+// --------------------
+// CONFIG
+// --------------------
+const SUPRA_API_KEY = process.env.SUPRA_API_KEY;
+const WS_URL = "wss://prod-kline-ws.supra.com";
+const RESOLUTION = 1;
+
+const DORA_RPC = process.env.DORA_RPC || "https://rpc-testnet-dora-2.supra.com";
+const DORA_CHAIN = process.env.DORA_CHAIN || "evm";
+
+const RPC_URL = process.env.RPC_URL;
+const CORE_ADDRESS = process.env.CORE_ADDRESS;
+const VAULT_ADDRESS = process.env.VAULT_ADDRESS; 
+
+const READ_BASE = process.env.READ_BASE || "http://127.0.0.1:7000";
+// execution records (POST /executions, key with scope "executor": WRITE_API_KEY_ID / WRITE_API_SECRET)
+const WRITE_BASE = process.env.WRITE_BASE || "http://127.0.0.1:7001";
+// in-process resyncs (scope "sync"): WRITE_SYNC_API_KEY_ID / WRITE_SYNC_API_SECRET, else the key above
+const EXEC_CREDENTIALS = clientCredentialsFromEnv();
+const SYNC_CREDENTIALS = process.env.WRITE_SYNC_API_KEY_ID
+  ? clientCredentialsFromEnv(process.env, "WRITE_SYNC_API")
+  : EXEC_CREDENTIALS;
+
+// wallets: SIGNER_BACKEND=raw (PRIVATE_KEYS, dev) | keystore | remote, see executor/signers.js
+const SIGNER_BACKEND = process.env.SIGNER_BACKEND || "raw";
+
+const DEDUP_MS = Number(process.env.EXECUTION_DEDUP_MS || 15000);
+const LP_FREE_TTL_MS = Number(process.env.LP_FREE_TTL_MS || 1500); 
+
+const WSS_NO_TICK_TIMEOUT_MS = Number(process.env.WSS_NO_TICK_TIMEOUT_MS || 8000);
+
+// retry policy (retryable errors / reverts, dropped txs)
+const EXEC_MAX_RETRIES = Number(process.env.EXEC_MAX_RETRIES || 2);
+const EXEC_RETRY_BACKOFF_MS = Number(process.env.EXEC_RETRY_BACKOFF_MS || 1000);
+
+// batch mode: up to EXEC_BATCH_SIZE matched trades of one asset per tx (1 = one tx per trade).
+// Disabled: executeOrdersBatch / executeStopOrTakeProfitBatch (executor/coreAbi.js) are not
+// confirmed against the CORE source. Flip CORE_BATCH_CONFIRMED once they are; until then
+// EXEC_BATCH_SIZE > 1 only logs a warning and every trade goes out on its own.
+const CORE_BATCH_CONFIRMED = false;
+const EXEC_BATCH_SIZE_REQUESTED = Math.max(1, Number(process.env.EXEC_BATCH_SIZE || 1));
+const EXEC_BATCH_SIZE = CORE_BATCH_CONFIRMED ? EXEC_BATCH_SIZE_REQUESTED : 1;
+
+const METHODS = { entry: "executeOrder", exit: "executeStopOrTakeProfit" };
+const BATCH_METHODS = { entry: "executeOrdersBatch", exit: "executeStopOrTakeProfitBatch" };
+
+// priority scheduler weights (executor/scheduler.js): per bps past trigger, per decade of notional, per second waited
+const SCHED_WEIGHTS = {
+  distance: Number(process.env.SCHED_W_DISTANCE || 1),
+  size: Number(process.env.SCHED_W_SIZE || 10),
+  age: Number(process.env.SCHED_W_AGE || 1),
+};
+// trade rows used for ranking (SL/TP can move: refetched after this delay)
+const TRADE_INFO_TTL_MS = Number(process.env.TRADE_INFO_TTL_MS || 30000);
+
+// pre-flight eth_call of every execution (EXEC_SIMULATE=0 to send blindly)
+const EXEC_SIMULATE = process.env.EXEC_SIMULATE !== "0";
+// a trade whose simulation reverts for a terminal reason is not retried before this delay
+const SIM_REVERT_COOLDOWN_MS = Number(process.env.SIM_REVERT_COOLDOWN_MS || 60000);
+
+// nonces (owned by WalletPool)
+const MAX_INFLIGHT_PER_WALLET = Number(process.env.MAX_INFLIGHT_PER_WALLET || 16);
+const NONCE_RESYNC_MS = Number(process.env.NONCE_RESYNC_MS || 60000);
+// a nonce still in flight after this delay (tracker gave up at TX_MAX_WAIT_MS) and unknown to
+// the node is released by the next resync (its tx was dropped)
+const NONCE_STALE_MS = Number(process.env.NONCE_STALE_MS || 600000);
+// send errors after which the local nonce is realigned with the node
+const NONCE_RESYNC_CODES = ["NONCE_EXPIRED", "REPLACEMENT_UNDERPRICED", "TIMEOUT", "NETWORK_ERROR", "SERVER_ERROR"];
+
+// wallet balances: keys below WALLET_MIN_BALANCE (native units) leave the rotation
+const WALLET_MIN_BALANCE = process.env.WALLET_MIN_BALANCE || "0.01";
+const BALANCE_REFRESH_MS = Number(process.env.BALANCE_REFRESH_MS || 30000);
+const RUNWAY_WARN_HOURS = Number(process.env.RUNWAY_WARN_HOURS || 24);
+
+// local health endpoint (GET /health); one default port per class so `npm run dev` does not collide
+const HEALTH_PORTS = { all: 7100, crypto: 7101, stock: 7102, forex: 7103 };
+const EXECUTOR_HEALTH_HOST = process.env.EXECUTOR_HEALTH_HOST || "127.0.0.1";
+
+// tx tracking
+const TX_POLL_MS = Number(process.env.TX_POLL_MS || 2000);
+const TX_STUCK_AFTER_MS = Number(process.env.TX_STUCK_AFTER_MS || 30000);
+const TX_MAX_BUMPS = Number(process.env.TX_MAX_BUMPS || 3);
+const TX_BUMP_PERCENT = Number(process.env.TX_BUMP_PERCENT || 15);
+const TX_DROP_AFTER_MS = Number(process.env.TX_DROP_AFTER_MS || 60000);
+const TX_MAX_WAIT_MS = Number(process.env.TX_MAX_WAIT_MS || 300000);
+
+// --------------------
+// ASSET UNIVERSE (central registry, GET /assets)
+// --------------------
+const ARGS = parseArgs(process.argv);
+const ASSET_CLASS = ARGS.assetClass || process.env.EXECUTOR_CLASS;
+const ASSET_REFRESH_MS = Number(process.env.ASSET_REFRESH_MS || 60000);
+
+if (!ASSET_CLASS) {
+  console.error("Usage: node executor/executor.js --class crypto|stock|forex|all");
+  process.exit(1);
+}
+
+// refreshed from the registry (enabled assets only)
+let PAIRS = [];
+let REVERSE_MAP = {};
+let SESSION_BY_ID = {};
+
+function applyRegistry(registry) {
+  PAIRS = registry.pairs;
+  REVERSE_MAP = {};
+  SESSION_BY_ID = {};
+  for (const a of registry.assets) {
+    REVERSE_MAP[a.symbol] = a.id;
+    SESSION_BY_ID[a.id] = a.session;
+    if (!hasSession(a.session)) {
+      console.error(`[Executor] asset ${a.id} (${a.symbol}) has unknown session "${a.session}" => treated as always open`);
+    }
+  }
+}
+
+// Outside its trading session an asset's ticks are skipped (stale proofs, closed market).
+// Logged once per open/close transition.
+const sessionOpenState = new Map(); // assetId -> boolean
+
+function assetInSession(assetId, pair) {
+  const open = isSessionOpen(SESSION_BY_ID[assetId]);
+  if (sessionOpenState.get(assetId) !== open) {
+    sessionOpenState.set(assetId, open);
+    console.log(`[SESSION] ${pair.toUpperCase()} (AssetID: ${assetId}) market ${open ? "OPEN" : "CLOSED => skipping ticks"}`);
+  }
+  return open;
+}
+
+// --------------------
+// HELPERS
+// --------------------
+const httpAgent = new http.Agent({
+  keepAlive: true,
+  maxSockets: 100
+});
+
+const RESYNC_FLUSH_MS = Number(process.env.RESYNC_FLUSH_MS || 1000);
+
+// Resyncs run in-process (services/syncEngine.js): the engine queue waits RESYNC_FLUSH_MS and
+// coalesces the ids into one run, so a burst of enqueues costs one read per trade
+function createResyncBatcher(syncEngine) {
+  function enqueue(tradeId) {
+    if (!Number.isFinite(tradeId) || tradeId <= 0) return;
+    syncEngine.syncFull([Number(tradeId)]).catch((e) => {
+      console.error(`[RESYNC-BATCH] tradeId=${tradeId} failed:`, e.message);
+    });
+  }
+
+  return { enqueue };
+}
+
+function sleep(ms) {
+  return new Promise((r) => setTimeout(r, ms));
+}
+
+async function httpGetJson(url) {
+  const res = await fetch(url, { agent: httpAgent });
+  const txt = await res.text();
+  let data;
+  try { data = txt ? JSON.parse(txt) : null; }
+  catch { data = { raw: txt }; }
+  if (!res.ok) throw new Error(data?.error || data?.raw || `HTTP ${res.status}`);
+  return data;
+}
+
+async function httpPostJson(url, body) {
+  const res = await fetch(url, {
+    method: "POST",
+    agent: httpAgent,
+    headers: { "content-type": "application/json" },
+    body: JSON.stringify(body),
+  });
+  const txt = await res.text();
+  let data;
+  try { data = txt ? JSON.parse(txt) : null; }
+  catch { data = { raw: txt }; }
+  if (!res.ok) throw new Error(data?.error || data?.raw || `HTTP ${res.status}`);
+  return data;
+}
+
+function decimalToE6(value) {
+  if (value === null || value === undefined) return null;
+  const s0 = typeof value === "string" ? value : String(value);
+  const s = s0.trim();
+  if (!s) return null;
+
+  let neg = false;
+  let t = s;
+  if (t.startsWith("-")) { neg = true; t = t.slice(1); }
+
+  const parts = t.split(".");
+  const intPart = parts[0] ? parts[0].replace(/^0+(?=\d)/, "") : "0";
+  const fracRaw = (parts[1] || "");
+
+  const fracPadded = (fracRaw + "0000000").slice(0, 7);
+  const frac6 = fracPadded.slice(0, 6);
+  const d7 = fracPadded[6] ? Number(fracPadded[6]) : 0;
+
+  let bi = BigInt(intPart || "0") * 1000000n + BigInt(frac6 || "0");
+  if (d7 >= 5) bi += 1n;
+
+  if (neg) bi = -bi;
+  return Number(bi);
+}
+
+function pickMarketFromTick(tick) {
+  if (tick.currentPrice !== undefined && tick.currentPrice !== null) return tick.currentPrice;
+  if (tick.close !== undefined && tick.close !== null) return tick.close;
+  return null;
+}
+
+// --------------------
+// MAIN
+// --------------------
+async function main() {
+  if (!SUPRA_API_KEY) throw new Error("Missing SUPRA_API_KEY in .env");
+  if (!RPC_URL) throw new Error("Missing RPC_URL in .env");
+  if (!CORE_ADDRESS) throw new Error("Missing CORE_ADDRESS in .env");
+  if (!VAULT_ADDRESS) throw new Error("Missing VAULT_ADDRESS in .env");
+  if (!READ_BASE) throw new Error("Missing READ_BASE in .env");
+
+  // a key missing a scope would 403 every execution record / resync: fail now instead
+  await checkClientScope({ base: WRITE_BASE, credentials: EXEC_CREDENTIALS, scope: "executor", path: "/executions?limit=1" });
+  await checkClientScope({ base: WRITE_BASE, credentials: SYNC_CREDENTIALS, scope: "sync", path: "/sync/cursor/core.TradeEvent" });
+
+  applyRegistry(await fetchAssetRegistry({ readBase: READ_BASE, assetClass: ASSET_CLASS, agent: httpAgent }));
+  if (!PAIRS.length) throw new Error(`No enabled assets for class "${ASSET_CLASS}" in the registry`);
+
+  if (EXEC_BATCH_SIZE_REQUESTED > 1 && !CORE_BATCH_CONFIRMED) {
+    console.warn(`[Executor] EXEC_BATCH_SIZE=${EXEC_BATCH_SIZE_REQUESTED} ignored: batch mode is disabled until the CORE batch entrypoints are confirmed`);
+  }
+
+  const provider = new ethers.providers.JsonRpcProvider(RPC_URL);
+  const vault = new ethers.Contract(VAULT_ADDRESS, VAULT_ABI, provider);
+
+  const signers = await loadSigners({ provider, backend: SIGNER_BACKEND });
+
+  const walletPool = new WalletPool({
+    provider,
+    signers,
+    perWalletDelayMs: 1000,
+    maxInFlightPerWallet: MAX_INFLIGHT_PER_WALLET,
+    staleNonceMs: NONCE_STALE_MS,
+    minBalanceWei: ethers.utils.parseEther(WALLET_MIN_BALANCE),
+  });
+  await walletPool.init();
+  await walletPool.refreshBalances();
+
+  const fetchProof = createProofFetcher({ doraRpc: DORA_RPC, chainType: DORA_CHAIN });
+  const syncEngine = createSyncEngine({
+    provider,
+    writeBase: WRITE_BASE,
+    credentials: SYNC_CREDENTIALS,
+    flushMs: RESYNC_FLUSH_MS,
+    coreAddress: CORE_ADDRESS,
+  });
+  const resyncBatcher = createResyncBatcher(syncEngine);
+
+  const txTracker = new TxTracker({
+    provider,
+    writeBase: WRITE_BASE,
+    credentials: EXEC_CREDENTIALS,
+    pollMs: TX_POLL_MS,
+    stuckAfterMs: TX_STUCK_AFTER_MS,
+    maxBumps: TX_MAX_BUMPS,
+    bumpPercent: TX_BUMP_PERCENT,
+    dropAfterMs: TX_DROP_AFTER_MS,
+    maxWaitMs: TX_MAX_WAIT_MS,
+  });
+
+  let lpFreeCache = { ts: 0, valueE6: 0n };
+
+  async function getLpFreeCapitalE6() {
+    const now = Date.now();
+    if (now - lpFreeCache.ts < LP_FREE_TTL_MS) return lpFreeCache.valueE6;
+
+    const v = await vault.lpFreeCapital();
+    const bi = BigInt(v.toString());
+
+    lpFreeCache = { ts: now, valueE6: bi };
+    return bi;
+  }
+
+  const lockedCache = new Map();
+  async function getTradeLockedE6(tradeId) {
+    const hit = lockedCache.get(tradeId);
+    if (hit !== undefined) return hit;
+
+    const t = await httpGetJson(`${READ_BASE}/trade/${tradeId}`);
+    const locked = BigInt(String(t.lpLockedCapital ?? "0"));
+    lockedCache.set(tradeId, locked);
+    return locked;
+  }
+
+  // trade rows of matched ids (ranking + locked capital), refreshed after TRADE_INFO_TTL_MS
+  const tradeInfo = new Map(); // tradeId -> { ts, trade }
+
+  // one /trades/byIds call per tick instead of one /trade/:id per matched order
+  async function prefetchTrades(tradeIds) {
+    const now = Date.now();
+    const missing = tradeIds.filter((id) => now - (tradeInfo.get(id)?.ts || 0) > TRADE_INFO_TTL_MS);
+
+    for (let i = 0; i < missing.length; i += 1000) {
+      const r = await httpPostJson(`${READ_BASE}/trades/byIds`, { ids: missing.slice(i, i + 1000) });
+      for (const t of r.trades || []) {
+        tradeInfo.set(t.id, { ts: now, trade: t });
+        lockedCache.set(t.id, BigInt(String(t.lpLockedCapital ?? "0")));
+      }
+    }
+
+    for (const [id, v] of tradeInfo) if (now - v.ts > 10 * TRADE_INFO_TTL_MS) tradeInfo.delete(id);
+  }
+
+  // matched trades wait here, best first, until a wallet frees up
+  const scheduler = new PriorityScheduler({
+    acquire: () => walletPool.acquire(),
+    release: (wallet) => walletPool.release(wallet),
+  });
+
+  const recentlySent = new Map();
+  const simRevertedUntil = new Map(); // kind:tradeId -> ts (terminal simulation revert)
+  const inFlight = new Set(); // kind:tradeId being sent / tracked / retried (can outlive DEDUP_MS)
+  const batchOf = new Map(); // kind:tradeId -> key of the queued batch job holding it
+
+  // false when the trade was just sent, is still in flight, or cools down after a revert
+  function canClaim(key) {
+    const now = Date.now();
+    const last = recentlySent.get(key) || 0;
+    if (now - last < DEDUP_MS || inFlight.has(key)) return false;
+    if (simRevertedUntil.has(key)) {
+      if (simRevertedUntil.get(key) > now) return false;
+      simRevertedUntil.delete(key);
+    }
+    return true;
+  }
+
+  function claim(key) {
+    if (!canClaim(key)) return false;
+    recentlySent.set(key, Date.now());
+    inFlight.add(key);
+    return true;
+  }
+
+  // wallet: handed out by the scheduler for the first attempt
+  async function executeOnchain({ kind, tradeId, assetId, wallet }) {
+    const key = `${kind}:${tradeId}`;
+    if (!claim(key)) {
+      if (wallet) walletPool.release(wallet);
+      return;
+    }
+
+    try {
+      await executeTracked({ kind, tradeId, assetId, wallet });
+    } finally {
+      inFlight.delete(key);
+    }
+  }
+
+  // Several trades of one asset in one tx with one proof; per-trade fallback when the batch fails
+  async function executeBatchOnchain({ kind, tradeIds, assetId, wallet }) {
+    const keys = new Map(tradeIds.map((id) => [id, `${kind}:${id}`]));
+    const claimed = tradeIds.filter((id) => claim(keys.get(id)));
+    if (!claimed.length) {
+      if (wallet) walletPool.release(wallet);
+      return;
+    }
+
+    try {
+      const ready = kind === "entry" ? await fundableEntries(claimed) : claimed;
+      if (!ready.length) return;
+
+      if (ready.length === 1) {
+        await executeTracked({ kind, tradeId: ready[0], assetId, wallet, funded: true });
+      } else if (!(await sendBatch({ kind, tradeIds: ready, assetId, wallet }))) {
+        await Promise.all(ready.map((tradeId) =>
+          executeTracked({ kind, tradeId, assetId, funded: true })
+            .catch((e) => console.error(`[ERR] ${METHODS[kind]}`, { assetId, tradeId }, e.message))
+        ));
+      }
+    } finally {
+      for (const id of claimed) inFlight.delete(keys.get(id));
+      for (const key of keys.values()) {
+        if (!scheduler.has(batchOf.get(key))) batchOf.delete(key);
+      }
+    }
+  }
+
+  // Give the nonce of a finished submission back to the pool
+  function settleNonce(wallet, r) {
+    if (r.status === "mined" || r.status === "reverted") {
+      walletPool.confirmNonce(wallet, r.nonce);
+    } else if (r.status === "dropped") {
+      if (r.nonceConsumed) walletPool.confirmNonce(wallet, r.nonce);
+      else walletPool.releaseNonce(wallet, r.nonce);
+    } else if (r.status === "failed") {
+      walletPool.releaseNonce(wallet, r.nonce);
+      // the node disagrees with our nonce (or may have got the tx anyway) => realign
+      if (NONCE_RESYNC_CODES.includes(r.code)) {
+        walletPool.resync(wallet).catch((e) => console.error(`[WalletPool] resync ${wallet.address}:`, e.message));
+      }
+    }
+    // "pending": still in the mempool, stays in flight until a resync sees it mined (or released
+    // by a resync once NONCE_STALE_MS old and unknown to the node)
+  }
+
+  // eth_call with the same proof and sender: revert => { errorClass, reason }, else null.
+  // The simulation itself failing (RPC down...) does not block the send.
+  async function simulate({ core, method, args, label = args[0] }) {
+    try {
+      await core.callStatic[method](...args);
+      return null;
+    } catch (err) {
+      const c = classifyError(err);
+      if (c.code === "CALL_EXCEPTION" || c.code === "UNPREDICTABLE_GAS_LIMIT") return c;
+      console.error(`[SIM] ${method} ${label} simulation unavailable:`, c.reason);
+      return null;
+    }
+  }
+
+  // Entries the LP can cover, in order (the capital locked by each one adds up)
+  async function fundableEntries(tradeIds) {
+    const free = await getLpFreeCapitalE6();
+    let needed = 0n;
+    const out = [];
+
+    for (const tradeId of tradeIds) {
+      const locked = await getTradeLockedE6(tradeId);
+      if (locked <= 0n) {
+        console.log(`[SKIP] tradeId=${tradeId} locked=0 => enqueue resync`);
+        resyncBatcher.enqueue(tradeId);
+        continue;
+      }
+      if (free < needed + locked) {
+        const queued = needed > 0n ? ` (batch already locks ${needed})` : "";
+        console.log(`[SKIP] Not enough LP free capital. tradeId=${tradeId} locked=${locked} free=${free}${queued}`);
+        continue;
+      }
+      needed += locked;
+      out.push(tradeId);
+    }
+    return out;
+  }
+
+  // One batch tx; true when it is settled (mined, or left pending => resync), false => per-trade fallback
+  async function sendBatch({ kind, tradeIds, assetId, wallet: assigned }) {
+    const method = BATCH_METHODS[kind];
+    const wallet = assigned || (await walletPool.acquire());
+    const core = new ethers.Contract(CORE_ADDRESS, CORE_ABI, wallet);
+
+    let proof;
+    try {
+      proof = await fetchProof([assetId]);
+    } catch (err) {
+      console.error(`[BATCH] proof assetId=${assetId} failed:`, err.message);
+      return false;
+    }
+
+    if (EXEC_SIMULATE) {
+      const revert = await simulate({ core, method, args: [tradeIds, proof], label: tradeIds.join(",") });
+      if (revert) {
+        console.log(`[BATCH] ${method} assetId=${assetId} n=${tradeIds.length} would revert: ${revert.reason} => per-trade`);
+        return false;
+      }
+    }
+
+    const nonce = await walletPool.takeNonce(wallet);
+    const r = await txTracker.submit({
+      tradeIds,
+      kind,
+      wallet,
+      nonce,
+      send: (overrides) => core[method](tradeIds, proof, overrides),
+    });
+    settleNonce(wallet, r);
+    if (r.status !== "pending") walletPool.recordResult(wallet, r.status === "mined");
+
+    if (r.hash) console.log(`[TX] ${method} assetId=${assetId} n=${tradeIds.length} from=${wallet.address} hash=${r.hash} status=${r.status}`);
+
+    if (r.status === "mined") {
+      console.log(`[OK] ${method} tradeIds=${tradeIds.join(",")}`);
+      return true;
+    }
+    if (r.status === "pending") {
+      for (const id of tradeIds) resyncBatcher.enqueue(id);
+      return true;
+    }
+
+    console.error(`[BATCH] ${method} assetId=${assetId} n=${tradeIds.length} status=${r.status}: ${r.reason || ""} => per-trade`);
+    return false;
+  }
+
+  // funded: LP capital already checked by the caller (batch fallback)
+  // wallet: used for the first attempt (scheduler), retries take the next free one
+  async function executeTracked({ kind, tradeId, assetId, wallet: assigned = null, funded = false }) {
+    const method = METHODS[kind];
+    if (!method) throw new Error(`Unknown kind ${kind}`);
+
+    if (kind === "entry" && !funded && !(await fundableEntries([tradeId])).length) return;
+
+    for (let attempt = 1; attempt <= EXEC_MAX_RETRIES + 1; attempt++) {
+      const wallet = attempt === 1 && assigned ? assigned : await walletPool.acquire();
+      const core = new ethers.Contract(CORE_ADDRESS, CORE_ABI, wallet);
+
+      // fresh proof per attempt (a stale proof is the usual retryable revert)
+      let proof;
+      try {
+        proof = await fetchProof([assetId]);
+      } catch (err) {
+        console.error(`[EXEC ERROR] proof kind=${kind} tradeId=${tradeId} assetId=${assetId}`, err.message);
+        if (attempt <= EXEC_MAX_RETRIES) await sleep(EXEC_RETRY_BACKOFF_MS * 2 ** (attempt - 1));
+        continue;
+      }
+
+      if (EXEC_SIMULATE) {
+        const revert = await simulate({ core, method, args: [tradeId, proof] });
+        if (revert) {
+          console.log(`[SIM] ${method} tradeId=${tradeId} assetId=${assetId} would revert (${revert.errorClass}): ${revert.reason} => skip + resync`);
+          await txTracker.recordSkipped({ tradeId, kind, wallet, attempt, errorClass: revert.errorClass, reason: revert.reason });
+          if (revert.errorClass === "terminal") simRevertedUntil.set(`${kind}:${tradeId}`, Date.now() + SIM_REVERT_COOLDOWN_MS);
+          resyncBatcher.enqueue(tradeId);
+          return;
+        }
+      }
+
+      const nonce = await walletPool.takeNonce(wallet);
+      const r = await txTracker.submit({
+        tradeId,
+        kind,
+        wallet,
+        nonce,
+        attempt,
+        send: (overrides) => core[method](tradeId, proof, overrides),
+      });
+      settleNonce(wallet, r);
+      if (r.status !== "pending") walletPool.recordResult(wallet, r.status === "mined");
+
+      if (r.hash) console.log(`[TX] ${method} assetId=${assetId} tradeId=${tradeId} from=${wallet.address} hash=${r.hash} status=${r.status}`);
+
+      if (r.status === "mined") {
+        console.log(`[OK] ${method} tradeId=${tradeId}`);
+        return;
+      }
+
+      if (r.status === "pending") {
+        // gave up waiting: the tx may still land, let the sync decide
+        resyncBatcher.enqueue(tradeId);
+        return;
+      }
+
+      console.error(`[EXEC ERROR] kind=${kind} tradeId=${tradeId} assetId=${assetId} status=${r.status} (${r.errorClass})`, r.reason || "");
+
+      if (r.errorClass === "terminal") {
+        resyncBatcher.enqueue(tradeId);
+        return;
+      }
+
+      if (attempt <= EXEC_MAX_RETRIES) {
+        const backoff = EXEC_RETRY_BACKOFF_MS * 2 ** (attempt - 1);
+        console.log(`[RETRY] ${method} tradeId=${tradeId} attempt ${attempt + 1}/${EXEC_MAX_RETRIES + 1} in ${backoff}ms`);
+        await sleep(backoff);
+      }
+    }
+
+    console.error(`[EXEC ERROR] kind=${kind} tradeId=${tradeId} retries exhausted => resync`);
+    resyncBatcher.enqueue(tradeId);
+  }
+
+  let currentWs = null;
+  const startedAt = Date.now();
+
+  // GET /health on 127.0.0.1: per-wallet balance, tx count, failure rate + pool runway
+  function startHealthServer() {
+    const port = Number(process.env.EXECUTOR_HEALTH_PORT || HEALTH_PORTS[ASSET_CLASS] || 7100);
+
+    const server = http.createServer((req, res) => {
+      if (req.method !== "GET" || req.url.split("?")[0] !== "/health") {
+        res.writeHead(404, { "content-type": "application/json" });
+        res.end(JSON.stringify({ error: "Not found" }));
+        return;
+      }
+
+      const wallets = walletPool.getWalletHealth();
+      const runway = walletPool.getRunway();
+      const active = wallets.filter((w) => !w.underfunded).length;
+
+      res.writeHead(active ? 200 : 503, { "content-type": "application/json" });
+      res.end(JSON.stringify({
+        ok: active > 0,
+        class: ASSET_CLASS,
+        pairs: PAIRS.length,
+        uptimeMs: Date.now() - startedAt,
+        queued: scheduler.size,
+        minBalance: WALLET_MIN_BALANCE,
+        activeWallets: active,
+        runway: {
+          totalBalance: ethers.utils.formatEther(runway.totalBalanceWei),
+          burnPerHour: ethers.utils.formatEther(runway.burnPerHourWei),
+          hours: runway.runwayHours,
+          warnBelowHours: RUNWAY_WARN_HOURS,
+        },
+        wallets,
+        sync: syncEngine.stats(),
+      }));
+    });
+
+    server.on("error", (e) => console.error(`[Executor] health server error (port ${port}):`, e.message));
+    server.listen(port, EXECUTOR_HEALTH_HOST, () => {
+      console.log(`[Executor] health on http://${EXECUTOR_HEALTH_HOST}:${port}/health`);
+    });
+  }
+
+  // Registry edits (enabled flag, new assets) => resubscribe with the new pair list
+  async function refreshRegistry() {
+    try {
+      const registry = await fetchAssetRegistry({ readBase: READ_BASE, assetClass: ASSET_CLASS, agent: httpAgent });
+      const before = [...PAIRS].sort().join(",");
+      const after = [...registry.pairs].sort().join(",");
+      applyRegistry(registry);
+
+      if (before !== after) {
+        console.log(`[Executor] Asset registry changed (${registry.pairs.length} pairs), resubscribing…`);
+        try { currentWs?.terminate(); } catch {}
+      }
+    } catch (e) {
+      console.error("[Executor] registry refresh error:", e.message);
+    }
+  }
+
+  function connectSupra() {
+    console.log("[Executor] Connecting Supra WS:", WS_URL);
+
+    let closedByUs = false;
+    let lastTickAt = Date.now();
+    let watchdog = null;
+
+    function startWatchdog(ws) {
+      if (watchdog) clearInterval(watchdog);
+      watchdog = setInterval(() => {
+        const now = Date.now();
+        if (now - lastTickAt > WSS_NO_TICK_TIMEOUT_MS) {
+          console.error(`[Executor] No ticks for ${now - lastTickAt}ms. Reconnecting...`);
+          closedByUs = true;
+          try { ws.terminate(); } catch {}
+        }
+      }, 1000);
+    }
+
+    const ws = new WebSocket(WS_URL, {
+      headers: { "x-api-key": SUPRA_API_KEY },
+    });
+    currentWs = ws;
+
+    ws.on("open", () => {
+      console.log("[Executor] Supra connected, subscribing to", PAIRS.length, "pairs…");
+      lastTickAt = Date.now();
+      startWatchdog(ws);
+
+      ws.send(JSON.stringify({
+        action: "subscribe",
+        channels: [
+          {
+            name: "ohlc_datafeed",
+            resolution: RESOLUTION,
+            tradingPairs: PAIRS,
+          }
+        ],
+      }));
+    });
+
+    ws.on("message", async (buf) => {
+      let msg;
+      try { msg = JSON.parse(buf.toString()); }
+      catch { return; }
+
+      if (msg.event !== "ohlc_datafeed" || !Array.isArray(msg.payload)) return;
+
+      lastTickAt = Date.now();
+
+      for (const tick of msg.payload) {
+        const pair = tick.tradingPair;
+        if (!pair) continue;
+
+        const assetId = REVERSE_MAP[pair];
+        if (assetId === undefined) continue;
+        if (!assetInSession(assetId, pair)) continue;
+
+        const marketRaw = pickMarketFromTick(tick);
+        const marketE6 = decimalToE6(marketRaw);
+        if (marketE6 === null) continue;
+
+        // 🔄 Affichage du prix dans la console sans throttle
+        console.log(`[TICK] ${pair.toUpperCase()} : ${marketRaw} (AssetID: ${assetId})`);
+
+        try {
+          const entry = await httpGetJson(
+            `${READ_BASE}/match/entry?assetId=${assetId}&market=${marketE6}&unit=e6`
+          );
+
+          const exits = await httpGetJson(
+            `${READ_BASE}/match/exits?assetId=${assetId}&market=${marketE6}&unit=e6`
+          );
+
+          // [kind, type, tradeId], type = what triggered the match (ranking)
+          const matched = [
+            ...(exits.stopLoss || []).map((id) => ["exit", "stopLoss", id]),
+            ...(exits.takeProfit || []).map((id) => ["exit", "takeProfit", id]),
+            ...(entry.limit || []).map((id) => ["entry", "limit", id]),
+            ...(entry.stop || []).map((id) => ["entry", "stop", id]),
+          ].filter(([kind, , id]) => canClaim(`${kind}:${id}`));
+          if (!matched.length) continue;
+
+          await prefetchTrades(matched.map(([, , id]) => id))
+            .catch((e) => console.error("[ERR] prefetch /trades/byIds", { assetId }, e.message));
+
+          const priorityOf = (type, id) => ({ firstSeenAt }) => scoreExecution({
+            type, trade: tradeInfo.get(id)?.trade, marketE6, firstSeenAt, weights: SCHED_WEIGHTS,
+          });
+
+          if (EXEC_BATCH_SIZE > 1) {
+            // best trades first inside each kind, then one job per chunk (ranked by its best trade)
+            for (const kind of ["exit", "entry"]) {
+              // a trade already waiting in a queued batch stays there (no duplicate across chunks)
+              const ranked = matched
+                .filter((m) => m[0] === kind && !scheduler.has(batchOf.get(`${kind}:${m[2]}`)))
+                .map(([, type, id]) => ({ id, ...priorityOf(type, id)({ firstSeenAt: Date.now() }), type }))
+                .sort((a, b) => a.rank - b.rank || b.score - a.score);
+
+              for (let i = 0; i < ranked.length; i += EXEC_BATCH_SIZE) {
+                const chunk = ranked.slice(i, i + EXEC_BATCH_SIZE);
+                const tradeIds = chunk.map((c) => c.id);
+                const key = `batch:${kind}:${[...tradeIds].sort((a, b) => a - b).join(",")}`;
+                for (const id of tradeIds) batchOf.set(`${kind}:${id}`, key);
+                scheduler.push({
+                  key,
+                  priority: priorityOf(chunk[0].type, chunk[0].id),
+                  run: (wallet) => executeBatchOnchain({ kind, tradeIds, assetId, wallet }),
+                });
+              }
+            }
+            continue;
+          }
+
+          for (const [kind, type, id] of matched) {
+            scheduler.push({
+              key: `${kind}:${id}`,
+              priority: priorityOf(type, id),
+              run: (wallet) => executeOnchain({ kind, tradeId: id, assetId, wallet }),
+            });
+          }
+        } catch (e) {
+          console.error("[Executor] match/exec error:", pair, "assetId=", assetId, e.message);
+        }
+      }
+    });
+
+    ws.on("close", () => {
+      if (watchdog) clearInterval(watchdog);
+      console.error("[Executor] Supra WS closed.", closedByUs ? "(forced reconnect)" : "");
+      console.error("[Executor] Reconnecting in 3s…");
+      setTimeout(connectSupra, 3000);
+    });
+
+    ws.on("error", (err) => {
+      console.error("[Executor] Supra WS error:", err.message || err);
+    });
+  }
+
+  console.log("[Executor] READY");
+  console.log(" - class:", ASSET_CLASS);
+  console.log(" - CORE:", CORE_ADDRESS);
+  console.log(" - VAULT:", VAULT_ADDRESS);
+  console.log(" - READ_BASE:", READ_BASE);
+  console.log(" - WRITE_BASE:", WRITE_BASE);
+  console.log(" - simulate:", EXEC_SIMULATE);
+  console.log(" - batch size:", EXEC_BATCH_SIZE);
+  console.log(" - wallets:", signers.length, `(${SIGNER_BACKEND}, min balance ${WALLET_MIN_BALANCE})`);
+  console.log(" - pairs:", PAIRS.length);
+
+  connectSupra();
+  setInterval(refreshRegistry, ASSET_REFRESH_MS);
+
+  startHealthServer();
+
+  setInterval(async () => {
+    await walletPool.refreshBalances();
+    const { runwayHours } = walletPool.getRunway();
+    if (runwayHours !== null && runwayHours < RUNWAY_WARN_HOURS) {
+      console.error(`[WalletPool] LOW RUNWAY: ~${runwayHours.toFixed(1)}h of gas left at the current burn rate (warn < ${RUNWAY_WARN_HOURS}h)`);
+    }
+  }, BALANCE_REFRESH_MS);
+
+  setInterval(async () => {
+    await walletPool.resyncAll();
+    const busy = walletPool.getInFlightCounts().filter((w) => w.inFlight > 0);
+    if (busy.length) {
+      console.log(`[WalletPool] in flight: ${busy.map((w) => `${w.address}=${w.inFlight}`).join(" ")}`);
+    }
+  }, NONCE_RESYNC_MS);
+}
+
+main().catch((e) => {
+  console.error("executor fatal:", e);
+  process.exit(1);
+});
\ No newline at end of file
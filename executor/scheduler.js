@@ -0,0 +1,170 @@
+// executor/scheduler.js
+// Priority queue between the tick loop and WalletPool: matched trades are pushed as jobs,
+// and each time a wallet frees up it goes to the best job waiting.
+//
+// Order: kind first (stop loss > take profit > entries), then a score mixing
+//   - distance past the trigger (bps)       weights.distance per bps
+//   - position size (USDC notional)         weights.size per decade (log10)
+//   - age since the trade first matched (s) weights.age per second
+
+const KIND_RANK = { stopLoss: 0, takeProfit: 1, limit: 2, stop: 2 };
+
+const DEFAULT_WEIGHTS = { distance: 1, size: 10, age: 1 };
+
+// How far the market is past the level that triggered the match, in bps (>= 0)
+function distancePastTriggerBps(type, trade, marketE6) {
+  const long = trade.isLong === 1;
+  let level;
+  let past; // market - level, signed so that "more triggered" is positive
+
+  if (type === "stopLoss") {
+    level = trade.stopLoss;
+    past = long ? level - marketE6 : marketE6 - level;
+  } else if (type === "takeProfit") {
+    level = trade.takeProfit;
+    past = long ? marketE6 - level : level - marketE6;
+  } else if (type === "limit") {
+    level = trade.openPrice;
+    past = long ? level - marketE6 : marketE6 - level;
+  } else {
+    level = trade.openPrice;
+    past = long ? marketE6 - level : level - marketE6;
+  }
+
+  if (!level || past <= 0) return 0;
+  return (past / level) * 10_000;
+}
+
+// USDC notional: margin (E6) x leverage, else 0 when the row does not tell
+function notionalUsd(trade) {
+  const margin = Number(trade.marginUsdc || 0) / 1e6;
+  const leverage = Number(trade.leverage || 1);
+  return Number.isFinite(margin) && margin > 0 ? margin * leverage : 0;
+}
+
+// type: "stopLoss" | "takeProfit" | "limit" | "stop"; trade: row from /trades/byIds (optional)
+function scoreExecution({ type, trade, marketE6, firstSeenAt, now = Date.now(), weights = DEFAULT_WEIGHTS }) {
+  const distance = trade ? distancePastTriggerBps(type, trade, marketE6) : 0;
+  const size = trade ? Math.log10(1 + notionalUsd(trade)) : 0;
+  const age = Math.max(0, now - (firstSeenAt || now)) / 1000;
+
+  return {
+    rank: KIND_RANK[type] ?? 3,
+    score: distance * weights.distance + size * weights.size + age * weights.age,
+  };
+}
+
+// a before b ?
+function higher(a, b) {
+  if (a.rank !== b.rank) return a.rank < b.rank;
+  if (a.score !== b.score) return a.score > b.score;
+  return a.seq < b.seq;
+}
+
+// Binary heap of jobs { key, priority({ firstSeenAt }) => { rank, score }, run(wallet) }.
+// A job pushed again under the same key replaces the queued one (fresh market, fresh score)
+// but keeps its firstSeenAt, so a trade waiting across ticks gains priority.
+// release(wallet) (optional) takes back a wallet acquired while the queue emptied.
+class PriorityScheduler {
+  constructor({ acquire, release = () => {} }) {
+    this.acquire = acquire;
+    this.release = release;
+    this.heap = [];
+    this.queued = new Map(); // key -> job (latest version)
+    this.seq = 0;
+    this.pumping = false;
+  }
+
+  get size() {
+    return this.queued.size;
+  }
+
+  has(key) {
+    return this.queued.has(key);
+  }
+
+  push(job) {
+    const prev = this.queued.get(job.key);
+    const firstSeenAt = prev ? prev.firstSeenAt : Date.now();
+    const j = { ...job, firstSeenAt, ...job.priority({ firstSeenAt }), seq: this.seq++ };
+
+    this.queued.set(j.key, j);
+    this.heap.push(j);
+    this._up(this.heap.length - 1);
+    if (this.heap.length > 4 * this.queued.size + 64) this._compact();
+    this._pump();
+  }
+
+  // drop replaced versions piling up in the heap
+  _compact() {
+    this.heap = [...this.queued.values()];
+    for (let i = (this.heap.length >> 1) - 1; i >= 0; i--) this._down(i);
+  }
+
+  // best live job (stale versions are dropped on the way)
+  _pop() {
+    while (this.heap.length) {
+      const top = this.heap[0];
+      const last = this.heap.pop();
+      if (this.heap.length) {
+        this.heap[0] = last;
+        this._down(0);
+      }
+      if (this.queued.get(top.key) === top) {
+        this.queued.delete(top.key);
+        return top;
+      }
+    }
+    return null;
+  }
+
+  // One wallet at a time: wait for a free one, give it to the best job (picked once the wallet
+  // is there, so a better job pushed meanwhile goes first); none left => the wallet goes back
+  async _pump() {
+    if (this.pumping) return;
+    this.pumping = true;
+    try {
+      while (this.queued.size) {
+        const wallet = await this.acquire();
+        const job = this._pop();
+        if (!job) {
+          this.release(wallet);
+          break;
+        }
+        Promise.resolve()
+          .then(() => job.run(wallet))
+          .catch((e) => console.error(`[Scheduler] job ${job.key} failed:`, e.message));
+      }
+    } catch (e) {
+      console.error("[Scheduler] pump error:", e.message);
+    } finally {
+      this.pumping = false;
+    }
+  }
+
+  _up(i) {
+    const h = this.heap;
+    while (i > 0) {
+      const parent = (i - 1) >> 1;
+      if (!higher(h[i], h[parent])) break;
+      [h[i], h[parent]] = [h[parent], h[i]];
+      i = parent;
+    }
+  }
+
+  _down(i) {
+    const h = this.heap;
+    for (;;) {
+      const l = 2 * i + 1;
+      const r = l + 1;
+      let best = i;
+      if (l < h.length && higher(h[l], h[best])) best = l;
+      if (r < h.length && higher(h[r], h[best])) best = r;
+      if (best === i) return;
+      [h[i], h[best]] = [h[best], h[i]];
+      i = best;
+    }
+  }
+}
+
+module.exports = { PriorityScheduler, scoreExecution, DEFAULT_WEIGHTS };
@@ -0,0 +1,185 @@
+// executor/signers.js
+// Signer backends for the executor wallets (SIGNER_BACKEND):
+// - raw       PRIVATE_KEYS=0x..,0x..                      (dev only: plaintext keys in env)
+// - keystore  KEYSTORE_FILES=a.json,b.json | KEYSTORE_DIR=./keys
+//             passphrase from KEYSTORE_PASSWORD_FILE (preferred) or KEYSTORE_PASSWORD
+// - remote    REMOTE_SIGNER_URL=http://127.0.0.1:7200 (JSON-RPC: eth_accounts, eth_signTransaction, eth_sign)
+//             optional REMOTE_SIGNER_ADDRESSES=0x..,0x.. (else every account the signer exposes)
+//             optional REMOTE_SIGNER_TOKEN (sent as Bearer)
+// Every backend returns ethers Signers connected to the provider, with an `address` property.
+//
+// Create a keystore without putting the key in env:
+//   echo 0xKEY | KEYSTORE_PASSWORD_FILE=./pass.txt node executor/signers.js --encrypt keys/wallet1.json
+
+const fs = require("fs");
+const path = require("path");
+const fetch = require("node-fetch");
+const { ethers } = require("ethers");
+
+const BACKENDS = ["raw", "keystore", "remote"];
+
+function splitList(v) {
+  return String(v || "")
+    .split(",")
+    .map((s) => s.trim())
+    .filter(Boolean);
+}
+
+// --------------------
+// Remote signer (JSON-RPC over HTTP)
+// --------------------
+class RemoteSigner extends ethers.Signer {
+  constructor({ url, address, token = "", timeoutMs = 5000 }, provider) {
+    super();
+    ethers.utils.defineReadOnly(this, "url", url);
+    ethers.utils.defineReadOnly(this, "address", ethers.utils.getAddress(address));
+    ethers.utils.defineReadOnly(this, "token", token);
+    ethers.utils.defineReadOnly(this, "timeoutMs", timeoutMs);
+    ethers.utils.defineReadOnly(this, "provider", provider || null);
+  }
+
+  static async rpc({ url, token = "", timeoutMs = 5000 }, method, params) {
+    const ctrl = new AbortController();
+    const t = setTimeout(() => ctrl.abort(), timeoutMs);
+    try {
+      const res = await fetch(url, {
+        method: "POST",
+        headers: {
+          "content-type": "application/json",
+          ...(token ? { authorization: `Bearer ${token}` } : {}),
+        },
+        body: JSON.stringify({ jsonrpc: "2.0", id: Date.now(), method, params }),
+        signal: ctrl.signal,
+      });
+      const data = await res.json().catch(() => null);
+      if (!res.ok || !data) throw new Error(`remote signer ${method}: HTTP ${res.status}`);
+      if (data.error) throw new Error(`remote signer ${method}: ${data.error.message || JSON.stringify(data.error)}`);
+      return data.result;
+    } finally {
+      clearTimeout(t);
+    }
+  }
+
+  _rpc(method, params) {
+    return RemoteSigner.rpc(this, method, params);
+  }
+
+  async getAddress() {
+    return this.address;
+  }
+
+  async signMessage(message) {
+    const data = typeof message === "string" ? ethers.utils.toUtf8Bytes(message) : message;
+    return this._rpc("eth_sign", [this.address.toLowerCase(), ethers.utils.hexlify(data)]);
+  }
+
+  // tx is already populated (nonce, gas, fees, chainId) by Signer.sendTransaction
+  async signTransaction(transaction) {
+    const tx = await ethers.utils.resolveProperties(transaction);
+    if (tx.from && ethers.utils.getAddress(tx.from) !== this.address) {
+      throw new Error(`RemoteSigner: from ${tx.from} does not match ${this.address}`);
+    }
+    const payload = ethers.providers.JsonRpcProvider.hexlifyTransaction({ ...tx, from: this.address }, { from: true });
+    return this._rpc("eth_signTransaction", [payload]);
+  }
+
+  connect(provider) {
+    return new RemoteSigner(this, provider);
+  }
+}
+
+// --------------------
+// Backends
+// --------------------
+function loadRaw(env, provider) {
+  const keys = splitList(env.PRIVATE_KEYS);
+  if (!keys.length) throw new Error("SIGNER_BACKEND=raw: missing PRIVATE_KEYS");
+  return keys.map((pk) => new ethers.Wallet(pk, provider));
+}
+
+function keystorePassword(env) {
+  if (env.KEYSTORE_PASSWORD_FILE) return fs.readFileSync(env.KEYSTORE_PASSWORD_FILE, "utf8").replace(/\r?\n$/, "");
+  if (env.KEYSTORE_PASSWORD) return env.KEYSTORE_PASSWORD;
+  throw new Error("keystore: missing KEYSTORE_PASSWORD_FILE (or KEYSTORE_PASSWORD)");
+}
+
+function keystoreFiles(env) {
+  const files = splitList(env.KEYSTORE_FILES);
+  if (env.KEYSTORE_DIR) {
+    for (const f of fs.readdirSync(env.KEYSTORE_DIR).sort()) {
+      if (f.endsWith(".json")) files.push(path.join(env.KEYSTORE_DIR, f));
+    }
+  }
+  if (!files.length) throw new Error("SIGNER_BACKEND=keystore: missing KEYSTORE_FILES or KEYSTORE_DIR");
+  return files;
+}
+
+async function loadKeystores(env, provider) {
+  const password = keystorePassword(env);
+  const wallets = [];
+  // sequential: scrypt decryption is CPU + memory heavy
+  for (const file of keystoreFiles(env)) {
+    try {
+      const w = await ethers.Wallet.fromEncryptedJson(fs.readFileSync(file, "utf8"), password);
+      wallets.push(w.connect(provider));
+    } catch (e) {
+      throw new Error(`keystore ${file}: ${e.message}`);
+    }
+  }
+  return wallets;
+}
+
+async function loadRemote(env, provider) {
+  const opts = {
+    url: env.REMOTE_SIGNER_URL,
+    token: env.REMOTE_SIGNER_TOKEN || "",
+    timeoutMs: Number(env.REMOTE_SIGNER_TIMEOUT_MS || 5000),
+  };
+  if (!opts.url) throw new Error("SIGNER_BACKEND=remote: missing REMOTE_SIGNER_URL");
+
+  const exposed = (await RemoteSigner.rpc(opts, "eth_accounts", [])).map((a) => ethers.utils.getAddress(a));
+  const wanted = splitList(env.REMOTE_SIGNER_ADDRESSES).map((a) => ethers.utils.getAddress(a));
+  for (const a of wanted) {
+    if (!exposed.includes(a)) throw new Error(`remote signer does not hold ${a}`);
+  }
+
+  const addresses = wanted.length ? wanted : exposed;
+  if (!addresses.length) throw new Error("remote signer exposes no account");
+  return addresses.map((address) => new RemoteSigner({ ...opts, address }, provider));
+}
+
+// backend defaults to SIGNER_BACKEND, else "raw"
+async function loadSigners({ provider, backend, env = process.env } = {}) {
+  const b = backend || env.SIGNER_BACKEND || "raw";
+  if (!BACKENDS.includes(b)) throw new Error(`Unknown SIGNER_BACKEND "${b}" (${BACKENDS.join("|")})`);
+
+  if (b === "raw") return loadRaw(env, provider);
+  if (b === "keystore") return loadKeystores(env, provider);
+  return loadRemote(env, provider);
+}
+
+module.exports = { loadSigners, RemoteSigner, BACKENDS };
+
+// --------------------
+// CLI: encrypt a private key read from stdin into a keystore file
+// --------------------
+if (require.main === module) {
+  const i = process.argv.indexOf("--encrypt");
+  const out = i > 0 ? process.argv[i + 1] : null;
+  if (!out) {
+    console.error("Usage: echo 0xKEY | KEYSTORE_PASSWORD_FILE=pass.txt node executor/signers.js --encrypt out.json");
+    process.exit(1);
+  }
+
+  const pk = fs.readFileSync(0, "utf8").trim();
+  new ethers.Wallet(pk)
+    .encrypt(keystorePassword(process.env))
+    .then((json) => {
+      fs.writeFileSync(out, json, { mode: 0o600 });
+      console.log(`[Signers] wrote ${out} (${JSON.parse(json).address})`);
+    })
+    .catch((e) => {
+      console.error("[Signers] encrypt failed:", e.message);
+      process.exit(1);
+    });
+}
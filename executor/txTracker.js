@@ -0,0 +1,334 @@
+// executor/txTracker.js
+// Tracked onchain transactions: every submission is recorded on the write server
+// (POST /executions, scope "executor") and followed until it is mined, reverted or dropped.
+// - stuck (no receipt after stuckAfterMs) => same nonce re-sent with bumped fees, the old row
+//   is marked "replaced" and the new one points to it (`replaces`)
+// - dropped: nonce consumed by another tx, or the tx vanished from the node for dropAfterMs
+// - errors / revert reasons are classified "retryable" or "terminal" (classifyError)
+// Recording is best effort: a write server outage never blocks an execution.
+
+const fetch = require("node-fetch");
+const { ethers } = require("ethers");
+const { signRequest, clientCredentialsFromEnv } = require("../write.auth");
+
+const RETRYABLE_CODES = [
+  "NONCE_EXPIRED",
+  "REPLACEMENT_UNDERPRICED",
+  "TIMEOUT",
+  "NETWORK_ERROR",
+  "SERVER_ERROR",
+  "INSUFFICIENT_FUNDS",
+];
+const REVERT_CODES = ["CALL_EXCEPTION", "UNPREDICTABLE_GAS_LIMIT"];
+// reverts caused by the oracle proof / price moving: a fresh proof may go through
+const RETRYABLE_REVERT = /proof|stale|price|oracle|timestamp/i;
+
+function sleep(ms) {
+  return new Promise((r) => setTimeout(r, ms));
+}
+
+// Messages ethers v5 carries, most specific first (the RPC revert reason is nested
+// under `error`; UNPREDICTABLE_GAS_LIMIT's own reason is the generic "cannot estimate gas")
+function errorMessages(err) {
+  if (!err) return ["unknown error"];
+  const out = [
+    // custom error decoded by ethers from the contract ABI (Error(string) already lands in err.reason)
+    err.errorName && !err.reason ? `${err.errorName}(${(err.errorArgs || []).map(String).join(", ")})` : null,
+    err.error?.reason,
+    err.error?.error?.message,
+    err.error?.message,
+    err.reason,
+  ].filter((m) => typeof m === "string" && m.length);
+  // undecoded revert data: at least keep the selector
+  const data = typeof err.data === "string" ? err.data : err.error?.data;
+  if (!out.length && typeof data === "string" && data.length >= 10) out.push(`revert data ${data.slice(0, 10)}`);
+  // err.message last resort only: ethers appends the serialized tx (data, gasPrice...) to it
+  if (!out.length) out.push(err.message || String(err));
+  return [...new Set(out)];
+}
+
+// => { errorClass: "retryable"|"terminal", code, reason }
+function classifyError(err) {
+  const code = err?.code || err?.error?.code || null;
+  const messages = errorMessages(err);
+  const reason = messages[0].slice(0, 500);
+
+  if (RETRYABLE_CODES.includes(code)) return { errorClass: "retryable", code, reason };
+  if (REVERT_CODES.includes(code)) {
+    const retryable = messages.some((m) => RETRYABLE_REVERT.test(m));
+    return { errorClass: retryable ? "retryable" : "terminal", code, reason };
+  }
+  // unknown failure (RPC glitch, proof fetch...) => let the caller try again
+  return { errorClass: "retryable", code, reason };
+}
+
+function feeFields(tx) {
+  const s = (v) => (v === undefined || v === null ? null : v.toString());
+  return {
+    gasLimit: s(tx.gasLimit),
+    gasPrice: tx.maxFeePerGas ? null : s(tx.gasPrice),
+    maxFeePerGas: s(tx.maxFeePerGas),
+    maxPriorityFeePerGas: s(tx.maxPriorityFeePerGas),
+  };
+}
+
+function maxBn(a, b) {
+  if (!a) return b || null;
+  if (!b) return a;
+  return a.gt(b) ? a : b;
+}
+
+// Replacement fees: previous + percent, never below what the node currently asks
+function bumpFees(prevTx, feeData, percent) {
+  // rounded up, so tiny values (1-9 wei tips) still move
+  const bump = (v) => (v ? ethers.BigNumber.from(v).mul(100 + percent).add(99).div(100) : null);
+
+  if (prevTx.maxFeePerGas) {
+    return {
+      maxFeePerGas: maxBn(bump(prevTx.maxFeePerGas), feeData.maxFeePerGas),
+      maxPriorityFeePerGas: maxBn(bump(prevTx.maxPriorityFeePerGas), feeData.maxPriorityFeePerGas),
+    };
+  }
+  return { gasPrice: maxBn(bump(prevTx.gasPrice), feeData.gasPrice) };
+}
+
+class TxTracker {
+  constructor({
+    provider,
+    writeBase,
+    credentials = clientCredentialsFromEnv(),
+    pollMs = 2000,
+    stuckAfterMs = 30000,
+    maxBumps = 3,
+    bumpPercent = 15,
+    dropAfterMs = 60000,
+    maxWaitMs = 300000,
+    httpTimeoutMs = 5000,
+  }) {
+    if (!provider) throw new Error("TxTracker: missing provider");
+    this.provider = provider;
+    this.writeBase = writeBase;
+    this.credentials = credentials;
+    this.pollMs = pollMs;
+    this.stuckAfterMs = stuckAfterMs;
+    this.maxBumps = maxBumps;
+    // nodes refuse a replacement below +10%
+    this.bumpPercent = Math.max(10, bumpPercent);
+    this.dropAfterMs = dropAfterMs;
+    this.maxWaitMs = maxWaitMs;
+    this.httpTimeoutMs = httpTimeoutMs;
+  }
+
+  // --------------------
+  // write server (signed, best effort)
+  // --------------------
+  async _write(method, path, body) {
+    if (!this.writeBase) return null;
+    const ctrl = new AbortController();
+    const t = setTimeout(() => ctrl.abort(), this.httpTimeoutMs);
+    try {
+      const payload = JSON.stringify(body);
+      const auth = signRequest({ ...this.credentials, method, path, body: payload });
+      const res = await fetch(`${this.writeBase}${path}`, {
+        method,
+        headers: { "content-type": "application/json", ...auth },
+        body: payload,
+        signal: ctrl.signal,
+      });
+      const data = await res.json().catch(() => null);
+      if (!res.ok) throw new Error(data?.error || `HTTP ${res.status}`);
+      return data;
+    } catch (e) {
+      console.error(`[TxTracker] ${method} ${path} failed:`, e.message);
+      return null;
+    } finally {
+      clearTimeout(t);
+    }
+  }
+
+  async _record(row) {
+    const r = await this._write("POST", "/executions", row);
+    return r?.execution?.id ?? null;
+  }
+
+  async _patch(id, fields) {
+    if (id === null || id === undefined) return;
+    await this._write("PATCH", `/executions/${id}`, fields);
+  }
+
+  // One row per trade of the tx (a batch tx shares hash / nonce / fees); replaces[i] pairs with tradeIds[i]
+  async _recordAll(tradeIds, fields, replaces = null) {
+    const ids = [];
+    for (let i = 0; i < tradeIds.length; i++) {
+      ids.push(await this._record({ ...fields, tradeId: tradeIds[i], replaces: replaces ? replaces[i] : null }));
+    }
+    return ids;
+  }
+
+  async _patchAll(ids, fields) {
+    for (const id of ids) await this._patch(id, fields);
+  }
+
+  // Revert reason of a mined-but-failed tx (replayed as a call at its block)
+  async _revertReason(tx, blockNumber) {
+    try {
+      await this.provider.call(
+        { from: tx.from, to: tx.to, data: tx.data, value: tx.value, gasLimit: tx.gasLimit },
+        blockNumber
+      );
+      return { errorClass: "terminal", code: "CALL_EXCEPTION", reason: "reverted (no reason)" };
+    } catch (e) {
+      if (!e.code) e.code = "CALL_EXCEPTION";
+      return classifyError(e);
+    }
+  }
+
+  // Execution not sent because its simulation reverted (eth_call with the same proof)
+  async recordSkipped({ tradeId, kind, wallet, attempt = 1, errorClass, reason }) {
+    return this._record({ tradeId, kind, wallet: wallet.address, attempt, status: "skipped", errorClass, error: reason });
+  }
+
+  /**
+   * Send and follow one execution until it settles.
+   * send(overrides) must return an ethers TransactionResponse (e.g. core.executeOrder(id, proof, overrides)).
+   * tradeIds: every trade a batch tx executes (default [tradeId]), one executions row each.
+   * nonce: assigned by the caller (WalletPool.takeNonce), else read from the node.
+   * Resolves with { status: "mined"|"reverted"|"dropped"|"failed"|"pending", executionIds, hash, nonce,
+   *                 receipt?, errorClass?, code?, reason?, nonceConsumed? } — never throws.
+   */
+  async submit({ tradeId, tradeIds = [tradeId], kind, wallet, send, nonce = null, attempt = 1 }) {
+    const base = { kind, wallet: wallet.address, attempt };
+    const label = tradeIds.length > 1 ? `tradeIds=${tradeIds.join(",")}` : `tradeId=${tradeIds[0]}`;
+
+    let tx;
+    try {
+      if (nonce === null) nonce = await wallet.getTransactionCount("pending");
+      tx = await send({ nonce });
+    } catch (err) {
+      const c = classifyError(err);
+      const executionIds = await this._recordAll(tradeIds, {
+        ...base, nonce, status: "failed", errorClass: c.errorClass, error: c.reason,
+      });
+      return { status: "failed", executionIds, hash: null, nonce, errorClass: c.errorClass, code: c.code, reason: c.reason };
+    }
+
+    // attempts for this nonce, oldest first: { ids, tx }
+    const attempts = [];
+    attempts.push({
+      ids: await this._recordAll(tradeIds, { ...base, nonce, hash: tx.hash, ...feeFields(tx), status: "pending" }),
+      tx,
+    });
+
+    const started = Date.now();
+    let lastSentAt = started;
+    let bumps = 0;
+    let missingSince = null;
+
+    while (Date.now() - started < this.maxWaitMs) {
+      await sleep(this.pollMs);
+
+      try {
+        // nonce first: a receipt landing between both calls must not look like a drop
+        const latestNonce = await this.provider.getTransactionCount(wallet.address, "latest");
+
+        for (const a of attempts) {
+          const receipt = await this.provider.getTransactionReceipt(a.tx.hash);
+          if (!receipt) continue;
+          return { ...(await this._settle(attempts, a, receipt)), nonce };
+        }
+
+        if (latestNonce > nonce) {
+          const current = attempts[attempts.length - 1];
+          const reason = `nonce ${nonce} consumed by another transaction`;
+          await this._patchAll(current.ids, { status: "dropped", errorClass: "retryable", error: reason });
+          console.error(`[TxTracker] dropped ${label} nonce=${nonce} hash=${current.tx.hash}`);
+          return {
+            status: "dropped", executionIds: current.ids, hash: current.tx.hash, nonce,
+            errorClass: "retryable", reason, nonceConsumed: true,
+          };
+        }
+
+        const current = attempts[attempts.length - 1];
+        const known = await this.provider.getTransaction(current.tx.hash);
+        if (!known) {
+          missingSince = missingSince || Date.now();
+          if (Date.now() - missingSince >= this.dropAfterMs) {
+            const reason = "transaction no longer known by the node";
+            await this._patchAll(current.ids, { status: "dropped", errorClass: "retryable", error: reason });
+            console.error(`[TxTracker] dropped ${label} nonce=${nonce} hash=${current.tx.hash}`);
+            return {
+              status: "dropped", executionIds: current.ids, hash: current.tx.hash, nonce,
+              errorClass: "retryable", reason, nonceConsumed: false,
+            };
+          }
+        } else {
+          missingSince = null;
+        }
+
+        if (Date.now() - lastSentAt >= this.stuckAfterMs && bumps < this.maxBumps) {
+          lastSentAt = Date.now();
+          const replaced = await this._replace({ wallet, base, tradeIds, label, nonce, current, attemptNo: attempt + bumps + 1 });
+          if (replaced) {
+            attempts.push(replaced);
+            bumps++;
+          }
+        }
+      } catch (e) {
+        console.error(`[TxTracker] poll error ${label} nonce=${nonce}:`, e.message);
+      }
+    }
+
+    const current = attempts[attempts.length - 1];
+    console.error(`[TxTracker] still pending after ${this.maxWaitMs}ms ${label} hash=${current.tx.hash}`);
+    return { status: "pending", executionIds: current.ids, hash: current.tx.hash, nonce };
+  }
+
+  // Speed up: same nonce, same calldata, bumped fees
+  async _replace({ wallet, base, tradeIds, label, nonce, current, attemptNo }) {
+    const prev = current.tx;
+    try {
+      const fees = bumpFees(prev, await this.provider.getFeeData(), this.bumpPercent);
+      const tx = await wallet.sendTransaction({
+        to: prev.to,
+        data: prev.data,
+        value: prev.value,
+        gasLimit: prev.gasLimit,
+        nonce,
+        ...fees,
+      });
+
+      await this._patchAll(current.ids, { status: "replaced" });
+      const ids = await this._recordAll(
+        tradeIds,
+        { ...base, attempt: attemptNo, nonce, hash: tx.hash, ...feeFields(tx), status: "pending" },
+        current.ids
+      );
+      console.log(`[TxTracker] replaced ${label} nonce=${nonce} ${prev.hash} => ${tx.hash}`);
+      return { ids, tx };
+    } catch (err) {
+      // NONCE_EXPIRED here usually means the previous attempt just got mined: next poll sees it
+      const c = classifyError(err);
+      console.error(`[TxTracker] replacement failed ${label} nonce=${nonce}:`, c.code || "", c.reason);
+      return null;
+    }
+  }
+
+  async _settle(attempts, winner, receipt) {
+    for (const a of attempts) {
+      if (a !== winner) await this._patchAll(a.ids, { status: "replaced" });
+    }
+
+    if (receipt.status === 1) {
+      await this._patchAll(winner.ids, { status: "mined", blockNumber: receipt.blockNumber });
+      return { status: "mined", executionIds: winner.ids, hash: winner.tx.hash, receipt };
+    }
+
+    const c = await this._revertReason(winner.tx, receipt.blockNumber);
+    await this._patchAll(winner.ids, {
+      status: "reverted", blockNumber: receipt.blockNumber, errorClass: c.errorClass, error: c.reason,
+    });
+    return { status: "reverted", executionIds: winner.ids, hash: winner.tx.hash, receipt, errorClass: c.errorClass, reason: c.reason };
+  }
+}
+
+module.exports = { TxTracker, classifyError, bumpFees };
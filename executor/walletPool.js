@@ -1,15 +1,68 @@
 // executor/walletPool.js
+// Wallet rotation (perWalletDelayMs between two picks of the same wallet) over ethers Signers
+// (executor/signers.js backends: raw keys, keystores, remote signer) + local nonce
+// ownership: each wallet's nonce is read once from the node ("pending" count at init), then
+// handed out locally so concurrent sends from one key never collide.
+// - takeNonce:    lowest released nonce first (fills gaps), else the next one
+// - confirmNonce: the nonce is consumed onchain (mined, reverted, or used by another tx)
+// - releaseNonce: the tx never made it (send failed, dropped from the mempool) => reused next
+// - resync:       realign with the node after nonce errors (and periodically); in-flight
+//                 nonces the node has not seen (>= "pending") for staleNonceMs are released:
+//                 their tx was dropped while nobody tracked it anymore, the gap would stall the key
+// Balances: refreshBalances() (on a schedule) takes wallets below minBalanceWei out of the
+// rotation until topped up, and estimates the pool runway from the observed burn rate.
 const { ethers } = require("ethers");
 
 class WalletPool {
-  constructor({ provider, privateKeys, perWalletDelayMs = 1000 }) {
-    if (!privateKeys.length) throw new Error("No PRIVATE_KEYS provided");
+  constructor({
+    provider,
+    signers,
+    privateKeys = [],
+    perWalletDelayMs = 1000,
+    maxInFlightPerWallet = Infinity,
+    minBalanceWei = 0,
+    burnWindowMs = 3_600_000,
+    staleNonceMs = 600_000,
+  }) {
     this.provider = provider;
-    this.wallets = privateKeys.map((pk) => new ethers.Wallet(pk, provider));
+    // signers must expose `address` (ethers.Wallet, RemoteSigner); raw keys kept for old callers
+    this.wallets = signers || privateKeys.map((pk) => new ethers.Wallet(pk, provider));
+    if (!this.wallets.length) throw new Error("No signers provided");
     this.perWalletDelayMs = perWalletDelayMs;
+    this.maxInFlightPerWallet = maxInFlightPerWallet;
+    this.minBalanceWei = ethers.BigNumber.from(minBalanceWei);
+    this.burnWindowMs = burnWindowMs;
+    this.staleNonceMs = staleNonceMs;
 
     this.nextIndex = 0;
     this.busyUntil = new Array(this.wallets.length).fill(0);
+
+    this.indexByAddress = new Map(this.wallets.map((w, i) => [w.address.toLowerCase(), i]));
+    // per wallet: { nextNonce, inFlight: Map<nonce, takenAt>, released: number[] (sorted), syncing: Promise|null }
+    this.nonces = this.wallets.map(() => ({ nextNonce: null, inFlight: new Map(), released: [], syncing: null }));
+    // per wallet: balance (null until first refresh), underfunded flag, tx outcome counters
+    this.health = this.wallets.map(() => ({ balance: null, underfunded: false, txCount: 0, failures: 0 }));
+
+    this.spent = [];            // [{ ts, wei }] balance decreases inside burnWindowMs
+    this.monitorStartedAt = null;
+  }
+
+  // must be awaited before the first takeNonce
+  async init() {
+    await Promise.all(this.wallets.map((w) => this.resync(w)));
+    for (const w of this.wallets) {
+      console.log(`[WalletPool] ${w.address} next nonce ${this._state(w).nextNonce}`);
+    }
+  }
+
+  _index(wallet) {
+    const i = this.indexByAddress.get(String(wallet.address || wallet).toLowerCase());
+    if (i === undefined) throw new Error(`Wallet ${wallet.address || wallet} not in pool`);
+    return i;
+  }
+
+  _state(wallet) {
+    return this.nonces[this._index(wallet)];
   }
 
   // pick first wallet that is free, else wait the shortest time
@@ -20,19 +73,184 @@ class WalletPool {
       // try round-robin to be fair
       for (let tries = 0; tries < this.wallets.length; tries++) {
         const i = (this.nextIndex + tries) % this.wallets.length;
-        if (now >= this.busyUntil[i]) {
+        if (
+          now >= this.busyUntil[i] &&
+          !this.health[i].underfunded &&
+          this.nonces[i].inFlight.size < this.maxInFlightPerWallet
+        ) {
           this.nextIndex = (i + 1) % this.wallets.length;
           this.busyUntil[i] = now + this.perWalletDelayMs;
           return this.wallets[i];
         }
       }
 
-      // all busy => sleep until earliest free
+      // all busy => sleep until earliest free (or a short poll when wallets are full / underfunded)
       const earliest = Math.min(...this.busyUntil);
-      const waitMs = Math.max(10, earliest - now);
+      const waitMs = Math.max(10, Math.min(earliest - now, this.perWalletDelayMs));
       await new Promise((r) => setTimeout(r, waitMs));
     }
   }
+
+  // hand back a wallet acquired for nothing (no job left, trade already claimed): free again now
+  release(wallet) {
+    this.busyUntil[this._index(wallet)] = 0;
+  }
+
+  async takeNonce(wallet) {
+    const s = this._state(wallet);
+    if (s.syncing) await s.syncing;
+    if (s.nextNonce === null) await this.resync(wallet);
+
+    const nonce = s.released.length ? s.released.shift() : s.nextNonce++;
+    s.inFlight.set(nonce, Date.now());
+    return nonce;
+  }
+
+  confirmNonce(wallet, nonce) {
+    this._state(wallet).inFlight.delete(nonce);
+  }
+
+  releaseNonce(wallet, nonce) {
+    const s = this._state(wallet);
+    if (!s.inFlight.delete(nonce)) return;
+    if (!s.released.includes(nonce)) {
+      s.released.push(nonce);
+      s.released.sort((a, b) => a - b);
+    }
+  }
+
+  // Realign with the node: nonces below "latest" are settled, released nonces below
+  // "pending" were used after all, in-flight nonces still unknown to the node after
+  // staleNonceMs are released, and gaps nobody holds anymore are closed.
+  resync(wallet) {
+    const s = this._state(wallet);
+    if (s.syncing) return s.syncing;
+
+    const address = wallet.address || wallet;
+    s.syncing = (async () => {
+      const [latest, pending] = await Promise.all([
+        this.provider.getTransactionCount(address, "latest"),
+        this.provider.getTransactionCount(address, "pending"),
+      ]);
+
+      const now = Date.now();
+      for (const [n, takenAt] of s.inFlight) {
+        if (n < latest) {
+          s.inFlight.delete(n);
+        } else if (n >= pending && now - takenAt > this.staleNonceMs) {
+          console.error(`[WalletPool] ${address} nonce ${n} in flight for ${now - takenAt}ms but unknown to the node => released`);
+          this.releaseNonce(wallet, n);
+        }
+      }
+      s.released = s.released.filter((n) => n >= pending);
+
+      const held = [...s.inFlight.keys(), ...s.released];
+      const next = Math.max(pending, held.length ? Math.max(...held) + 1 : 0);
+      if (s.nextNonce !== null && next !== s.nextNonce) {
+        console.log(`[WalletPool] ${address} nonce resync ${s.nextNonce} => ${next} (latest=${latest} pending=${pending})`);
+      }
+      s.nextNonce = next;
+    })().finally(() => {
+      s.syncing = null;
+    });
+
+    return s.syncing;
+  }
+
+  async resyncAll() {
+    await Promise.all(
+      this.wallets.map((w) => this.resync(w).catch((e) => console.error(`[WalletPool] resync ${w.address}:`, e.message)))
+    );
+  }
+
+  // --------------------
+  // Balances / health
+  // --------------------
+
+  // one submission outcome (mined = ok; reverted, dropped, failed = failure)
+  recordResult(wallet, ok) {
+    const h = this.health[this._index(wallet)];
+    h.txCount++;
+    if (!ok) h.failures++;
+  }
+
+  async refreshBalances() {
+    const now = Date.now();
+    if (this.monitorStartedAt === null) this.monitorStartedAt = now;
+
+    await Promise.all(this.wallets.map(async (w, i) => {
+      const h = this.health[i];
+      let balance;
+      try {
+        balance = await this.provider.getBalance(w.address);
+      } catch (e) {
+        console.error(`[WalletPool] balance ${w.address}:`, e.message);
+        return;
+      }
+
+      // top-ups are not burn: only decreases count
+      if (h.balance !== null && balance.lt(h.balance)) this.spent.push({ ts: now, wei: h.balance.sub(balance) });
+      h.balance = balance;
+
+      const underfunded = balance.lt(this.minBalanceWei);
+      if (underfunded !== h.underfunded) {
+        h.underfunded = underfunded;
+        if (underfunded) {
+          console.error(`[WalletPool] ${w.address} balance ${ethers.utils.formatEther(balance)} below minimum => out of rotation`);
+        } else {
+          console.log(`[WalletPool] ${w.address} balance ${ethers.utils.formatEther(balance)} back above minimum => in rotation`);
+        }
+      }
+    }));
+
+    this.spent = this.spent.filter((s) => now - s.ts <= this.burnWindowMs);
+    if (this.health.every((h) => h.underfunded)) {
+      console.error("[WalletPool] ALL wallets underfunded: executions are blocked until a top-up");
+    }
+  }
+
+  // { totalBalanceWei, burnPerHourWei, runwayHours } (runwayHours null while nothing was burnt)
+  getRunway() {
+    const total = this.health.reduce((acc, h) => (h.balance ? acc.add(h.balance) : acc), ethers.BigNumber.from(0));
+    const burnt = this.spent.reduce((acc, s) => acc.add(s.wei), ethers.BigNumber.from(0));
+
+    // observed span, at least 10 min so the first samples do not explode the rate
+    const span = this.monitorStartedAt === null ? 0 : Math.min(this.burnWindowMs, Date.now() - this.monitorStartedAt);
+    const burnPerHour = burnt.mul(3_600_000).div(Math.max(span, 600_000));
+
+    return {
+      totalBalanceWei: total.toString(),
+      burnPerHourWei: burnPerHour.toString(),
+      runwayHours: burnPerHour.isZero() ? null : Number(total.mul(100).div(burnPerHour).toString()) / 100,
+    };
+  }
+
+  // per wallet: address, balance, underfunded, txCount, failures, failureRate, nonce state
+  getWalletHealth() {
+    return this.wallets.map((w, i) => {
+      const h = this.health[i];
+      return {
+        address: w.address,
+        balance: h.balance === null ? null : ethers.utils.formatEther(h.balance),
+        underfunded: h.underfunded,
+        txCount: h.txCount,
+        failures: h.failures,
+        failureRate: h.txCount ? Number((h.failures / h.txCount).toFixed(4)) : 0,
+        nextNonce: this.nonces[i].nextNonce,
+        inFlight: this.nonces[i].inFlight.size,
+      };
+    });
+  }
+
+  // [{ address, nextNonce, inFlight, released }]
+  getInFlightCounts() {
+    return this.wallets.map((w, i) => ({
+      address: w.address,
+      nextNonce: this.nonces[i].nextNonce,
+      inFlight: this.nonces[i].inFlight.size,
+      released: this.nonces[i].released.length,
+    }));
+  }
 }
 
-module.exports = { WalletPool };
\ No newline at end of file
+module.exports = { WalletPool };
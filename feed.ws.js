@@ -0,0 +1,150 @@
+// feed.ws.js
+// PUBLIC WebSocket feed of trade changes (attached to the read server on /ws).
+//
+// Protocol (JSON text frames):
+// <- { type: "hello", epoch, seq }
+// -> { action: "subscribe",   traders: ["0x.."], assetIds: [0], tradeIds: [42], since?: 120, epoch?: 1700000000000 }
+// -> { action: "unsubscribe", traders: [...], assetIds: [...], tradeIds: [...] }
+// <- { type: "subscribed", traders, assetIds, tradeIds }
+// <- { type: "trade", seq, op: "insert"|"update"|"delete", source, trade }   (delete: trade rolled back by a chain reorg)
+// <- { type: "lifecycle", seq, op: "lifecycle", source: "chain", trade, event }
+//      event = { tradeId, code, type: "opened"|"sltpUpdated"|"closed"|..., blockNumber, txHash, logIndex, final }
+// <- { type: "resync", reason }   (missed updates can't be replayed: refetch via REST, then continue)
+// <- { type: "error", error }
+//
+// A trade is delivered if it matches ANY of the subscribed traders / assetIds / tradeIds.
+// Replayed and live events can overlap: clients keep the last seq and ignore seq <= it.
+
+const { WebSocketServer } = require("ws");
+const { subscribe, getSince, getFeedInfo } = require("./services/tradeFeed");
+
+const MAX_KEYS_PER_LIST = 1000;
+const MAX_BUFFERED_BYTES = 1024 * 1024; // slow consumer => disconnect
+const PING_INTERVAL_MS = 30_000;
+
+function toList(v, name) {
+  if (v === undefined || v === null) return [];
+  if (!Array.isArray(v)) throw new Error(`${name} must be an array`);
+  if (v.length > MAX_KEYS_PER_LIST) throw new Error(`Too many ${name} (max ${MAX_KEYS_PER_LIST})`);
+  return v;
+}
+
+function toIntList(v, name) {
+  return toList(v, name).map((x) => {
+    const n = Number(x);
+    if (!Number.isFinite(n)) throw new Error(`Invalid ${name}`);
+    return Math.trunc(n);
+  });
+}
+
+function toAddressList(v) {
+  return toList(v, "traders").map((a) => {
+    const s = typeof a === "string" ? a.trim().toLowerCase() : "";
+    if (!s.startsWith("0x") || s.length < 10) throw new Error("Invalid address in traders");
+    return s;
+  });
+}
+
+function typeOf(evt) {
+  return evt.op === "lifecycle" ? "lifecycle" : "trade";
+}
+
+function attachTradeFeedWs(server, { path = "/ws" } = {}) {
+  const wss = new WebSocketServer({ server, path });
+
+  wss.on("connection", (ws) => {
+    const subs = { traders: new Set(), assetIds: new Set(), tradeIds: new Set() };
+    ws.isAlive = true;
+
+    function send(obj) {
+      if (ws.readyState !== ws.OPEN) return;
+      if (ws.bufferedAmount > MAX_BUFFERED_BYTES) {
+        ws.close(1013, "Too slow, reconnect with since");
+        return;
+      }
+      ws.send(JSON.stringify(obj));
+    }
+
+    function matches(t) {
+      return subs.tradeIds.has(t.id) || subs.traders.has(t.trader) || subs.assetIds.has(t.assetId);
+    }
+
+    const unsubscribe = subscribe((evt) => {
+      if (matches(evt.trade)) send({ type: typeOf(evt), ...evt });
+    });
+
+    ws.on("pong", () => { ws.isAlive = true; });
+
+    ws.on("message", (buf) => {
+      let msg;
+      try { msg = JSON.parse(buf.toString()); }
+      catch { return send({ type: "error", error: "Invalid JSON" }); }
+
+      try {
+        const traders = toAddressList(msg.traders);
+        const assetIds = toIntList(msg.assetIds, "assetIds");
+        const tradeIds = toIntList(msg.tradeIds, "tradeIds");
+
+        if (msg.action === "subscribe") {
+          traders.forEach((x) => subs.traders.add(x));
+          assetIds.forEach((x) => subs.assetIds.add(x));
+          tradeIds.forEach((x) => subs.tradeIds.add(x));
+        } else if (msg.action === "unsubscribe") {
+          traders.forEach((x) => subs.traders.delete(x));
+          assetIds.forEach((x) => subs.assetIds.delete(x));
+          tradeIds.forEach((x) => subs.tradeIds.delete(x));
+        } else {
+          return send({ type: "error", error: "Unknown action (subscribe|unsubscribe)" });
+        }
+
+        send({
+          type: "subscribed",
+          traders: [...subs.traders],
+          assetIds: [...subs.assetIds],
+          tradeIds: [...subs.tradeIds],
+        });
+
+        // resume: replay what this client missed since its last seq
+        if (msg.action === "subscribe" && msg.since !== undefined && msg.since !== null) {
+          const since = Math.trunc(Number(msg.since));
+          const info = getFeedInfo();
+
+          if (!Number.isFinite(since) || (msg.epoch !== undefined && Number(msg.epoch) !== info.epoch)) {
+            return send({ type: "resync", reason: "server restarted" });
+          }
+
+          const { events, complete } = getSince(since);
+          if (!complete) send({ type: "resync", reason: "since is older than the replay buffer" });
+          for (const evt of events) {
+            if (matches(evt.trade)) send({ type: typeOf(evt), ...evt });
+          }
+        }
+      } catch (e) {
+        send({ type: "error", error: e.message || "Bad request" });
+      }
+    });
+
+    ws.on("close", unsubscribe);
+    ws.on("error", (e) => console.error("[WS feed] client error:", e.message || e));
+
+    const { epoch, seq } = getFeedInfo();
+    send({ type: "hello", epoch, seq });
+  });
+
+  // drop dead connections
+  const pinger = setInterval(() => {
+    for (const ws of wss.clients) {
+      if (!ws.isAlive) {
+        ws.terminate();
+        continue;
+      }
+      ws.isAlive = false;
+      ws.ping();
+    }
+  }, PING_INTERVAL_MS);
+  wss.on("close", () => clearInterval(pinger));
+
+  return wss;
+}
+
+module.exports = { attachTradeFeedWs };
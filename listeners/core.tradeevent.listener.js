@@ -1,24 +1,88 @@
 #!/usr/bin/env node
 /**
  * Listen to CORE TradeEvent(tradeId, code) on WSS
- * On event: run sync.js --mode full --ids <tradeId> (Batched)
+ * On event: decode `code` (services/tradeEventCodes.js) and resync the trade along the path
+ * it needs: syncFull for every code while the code table is unconfirmed (syncSLTP for SL/TP-only
+ * codes once it is) (in-process sync engine, services/syncEngine.js, Batched), then record the
+ * events (POST /trades/lifecycle => trade_lifecycle + WS feed "lifecycle").
+ *
+ * Socket loss: reconnect with exponential backoff (LISTENER_RECONNECT_MIN_MS..MAX_MS), then
+ * backfill TradeEvent logs (eth_getLogs over RPC_URL) from the last covered block to the head.
+ * Heartbeat: eth_blockNumber every LISTENER_PING_MS, a socket that does not answer within
+ * LISTENER_PING_TIMEOUT_MS is dropped and reconnected (half-open sockets never emit "close").
+ * Status: GET http://127.0.0.1:LISTENER_HEALTH_PORT/health (default 7300), 503 when deaf,
+ * with the sync engine queue stats.
+ * A process restart is not backfilled here: the events cron (sync.js --mode events) covers it.
  */
 
-const path = require("path");
-const { spawn } = require("child_process");
+require("dotenv").config();
+
+const http = require("http");
 const { ethers } = require("ethers");
 const cfg = require("../config");
+const { signRequest, clientCredentialsFromEnv } = require("../write.auth");
+const { decodeTradeEventCode, mergeSyncPath } = require("../services/tradeEventCodes");
+const { createSyncEngine } = require("../services/syncEngine");
 
 // ---- ABI minimal (event only)
 const CORE_ABI = [
   "event TradeEvent(uint256 tradeId, uint8 code)"
 ];
 
+const RECONNECT_MIN_MS = Number(process.env.LISTENER_RECONNECT_MIN_MS || 1000);
+const RECONNECT_MAX_MS = Number(process.env.LISTENER_RECONNECT_MAX_MS || 60_000);
+const PING_MS = Number(process.env.LISTENER_PING_MS || 15_000);
+const PING_TIMEOUT_MS = Number(process.env.LISTENER_PING_TIMEOUT_MS || 10_000);
+// re-scan a few blocks before the last covered one: an event can land just after the head we saw
+const BACKFILL_OVERLAP = Number(process.env.LISTENER_BACKFILL_OVERLAP || 5);
+const BACKFILL_WINDOW = Number(process.env.LISTENER_BACKFILL_WINDOW || 2000);
+const HEALTH_HOST = process.env.LISTENER_HEALTH_HOST || "127.0.0.1";
+const HEALTH_PORT = Number(process.env.LISTENER_HEALTH_PORT || 7300);
+const DEDUP_MS = 10_000;
+const WRITE_BASE = cfg.WRITE_BASE_URL || cfg.WRITE_BASE || "http://127.0.0.1:7001";
+const HTTP_TIMEOUT_MS = 30_000;
+
+// write server, scope "sync" (WRITE_API_KEY_ID / WRITE_API_SECRET)
+const writeCreds = clientCredentialsFromEnv();
+
+async function postJson(pathname, body) {
+  const ctrl = new AbortController();
+  const t = setTimeout(() => ctrl.abort(), HTTP_TIMEOUT_MS);
+  try {
+    const payload = JSON.stringify(body);
+    const res = await fetch(`${WRITE_BASE}${pathname}`, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        ...signRequest({ ...writeCreds, method: "POST", path: pathname, body: payload }),
+      },
+      body: payload,
+      signal: ctrl.signal,
+    });
+    const data = await res.json().catch(() => null);
+    if (!res.ok) throw new Error(data?.error || `HTTP ${res.status}`);
+    return data;
+  } finally {
+    clearTimeout(t);
+  }
+}
+
 // --- NOUVEAU : Le Batcher de Resync ---
 const RESYNC_FLUSH_MS = 1000; // Attend 1 seconde pour grouper les IDs
 
-function createResyncBatcher() {
-  const pending = new Set();
+async function runSync(syncEngine, mode, ids) {
+  try {
+    const r = await (mode === "full" ? syncEngine.syncFull(ids) : syncEngine.syncSLTP(ids));
+    console.log(`[RESYNC-BATCH] ${mode} done for ${ids.length} ids (block #${r.block}, upserted=${r.upserted} patched=${r.patched})`);
+  } catch (e) {
+    // On ne rejette jamais pour débloquer inFlight : la sync events (cron) rattrapera
+    console.error(`[RESYNC-BATCH] ${mode} failed for ${ids.length} ids:`, e.message);
+  }
+}
+
+function createResyncBatcher(syncEngine) {
+  const pending = new Map(); // tradeId -> "sltp" | "full" (le plus large gagne)
+  const events = [];         // events décodés à enregistrer après la synchro
   let timer = null;
   let inFlight = false;
 
@@ -36,43 +100,48 @@ function createResyncBatcher() {
       scheduleFlush();
       return;
     }
-    if (pending.size === 0) return;
+    if (pending.size === 0 && events.length === 0) return;
 
     inFlight = true;
 
     try {
-      const ids = Array.from(pending);
+      const entries = Array.from(pending);
+      const batchEvents = events.splice(0);
       pending.clear(); // Vide la file d'attente
 
-      console.log(`[RESYNC-BATCH] Flushing ${ids.length} ids: ${ids.join(",")}`);
-
-      await new Promise((resolve) => {
-        const syncPath = path.join(__dirname, "..", "sync.js");
+      const fullIds = entries.filter(([, p]) => p === "full").map(([id]) => id);
+      const sltpIds = entries.filter(([, p]) => p === "sltp").map(([id]) => id);
+      console.log(`[RESYNC-BATCH] Flushing ${entries.length} ids: full=${fullIds.join(",") || "-"} sltp=${sltpIds.join(",") || "-"}`);
 
-        const p = spawn(
-          process.execPath, 
-          [syncPath, "--mode", "full", "--ids", ids.join(",")], 
-          {
-            stdio: "inherit",
-            env: process.env,
-          }
-        );
+      // même run du moteur pour les deux (ids coalescés)
+      await Promise.all([
+        fullIds.length && runSync(syncEngine, "full", fullIds),
+        sltpIds.length && runSync(syncEngine, "sltp", sltpIds),
+      ]);
 
-        p.on("exit", (code) => {
-          console.log(`[RESYNC-BATCH] Done (code=${code}) for ${ids.length} ids`);
-          resolve(); // On résout toujours pour débloquer inFlight
-        });
-      });
+      // Enregistré après la synchro : le feed publie l'event avec la ligne déjà à jour.
+      // En cas d'échec, la sync events (cron) les enregistre au prochain passage.
+      if (batchEvents.length) {
+        try {
+          const r = await postJson("/trades/lifecycle", { events: batchEvents });
+          console.log(`[RESYNC-BATCH] lifecycle: ${r.inserted}/${batchEvents.length} new`);
+        } catch (e) {
+          console.error(`[RESYNC-BATCH] lifecycle write failed (${batchEvents.length} events):`, e.message);
+        }
+      }
     } finally {
       inFlight = false;
       // S'il y a eu de nouveaux events pendant qu'on synchronisait, on relance
-      if (pending.size > 0) scheduleFlush();
+      if (pending.size > 0 || events.length > 0) scheduleFlush();
     }
   }
 
-  function enqueue(tradeId) {
+  // event: { tradeId, code, blockNumber, blockHash, txHash, logIndex } (null when the log is unknown)
+  function enqueue(tradeId, syncPath, event) {
     if (!Number.isFinite(tradeId) || tradeId <= 0) return;
-    pending.add(Number(tradeId));
+    const id = Number(tradeId);
+    pending.set(id, mergeSyncPath(pending.get(id), syncPath));
+    if (event) events.push(event);
     scheduleFlush();
   }
 
@@ -80,55 +149,299 @@ function createResyncBatcher() {
 }
 // --------------------------------------
 
+// --- Backfill : logs TradeEvent de [fromBlock..toBlock], fenêtre divisée par 2 si le RPC refuse
+async function backfillLogs(provider, iface, fromBlock, toBlock, onLog) {
+  const topic = iface.getEventTopic("TradeEvent");
+  let window = BACKFILL_WINDOW;
+  let from = fromBlock;
+  let count = 0;
+
+  while (from <= toBlock) {
+    const to = Math.min(toBlock, from + window - 1);
+    let logs;
+    try {
+      logs = await provider.getLogs({ address: cfg.CORE_ADDRESS, topics: [topic], fromBlock: from, toBlock: to });
+    } catch (e) {
+      if (window === 1) throw e;
+      window = Math.max(1, Math.floor(window / 2));
+      continue;
+    }
+    for (const log of logs) {
+      const { tradeId, code } = iface.parseLog(log).args;
+      onLog(tradeId, code, log);
+    }
+    count += logs.length;
+    from = to + 1;
+  }
+  return count;
+}
+
+function withTimeout(promise, ms, what) {
+  let t;
+  return Promise.race([
+    promise,
+    new Promise((_, reject) => {
+      t = setTimeout(() => reject(new Error(`${what} timeout after ${ms}ms`)), ms);
+    }),
+  ]).finally(() => clearTimeout(t));
+}
+
+function coverBlock(status, block) {
+  status.headBlock = Math.max(status.headBlock ?? 0, block);
+  status.coveredBlock = Math.max(status.coveredBlock ?? 0, block);
+}
+
+// Rattrapage du trou [coveredBlock - overlap .. head] après une (re)connexion.
+// coveredBlock n'avance qu'une fois les logs rattrapés : si le backfill échoue, la
+// reconnexion suivante redemande la même plage.
+// isCurrent() => false quand le socket a été remplacé entre-temps (on ne touche plus à rien)
+function createGapBackfiller({ status, iface, onLog, logsProvider = null }) {
+  return async function backfillGap(provider, isCurrent) {
+    const head = await withTimeout(provider.getBlockNumber(), PING_TIMEOUT_MS, "getBlockNumber");
+    if (!isCurrent()) return;
+
+    const covered = status.coveredBlock;
+    if (covered === null || head <= covered) {
+      coverBlock(status, head);
+      return;
+    }
+    status.headBlock = Math.max(status.headBlock ?? 0, head);
+
+    const from = Math.max(0, covered - BACKFILL_OVERLAP + 1);
+    status.backfilling = true;
+    try {
+      const logs = await backfillLogs(logsProvider || provider, iface, from, head, onLog);
+      coverBlock(status, head);
+      status.lastBackfill = { from, to: head, logs, at: Date.now() };
+      console.log(`[Backfill] blocks ${from}..${head}: ${logs} TradeEvent log(s)`);
+    } finally {
+      status.backfilling = false;
+    }
+  };
+}
+
 async function main() {
   if (!cfg.WSS_URL) {
     console.error("Missing WSS_URL in config.js");
     process.exit(1);
   }
 
-  console.log("Connecting CORE WSS:", cfg.WSS_URL);
-  const wss = new ethers.providers.WebSocketProvider(cfg.WSS_URL);
-
-  // optional: keepalive / reconnect
-  wss._websocket?.on("close", (code) => {
-    console.error("WSS closed:", code, "=> restart the process (pm2 recommended)");
-  });
-  wss._websocket?.on("error", (e) => {
-    console.error("WSS error:", e);
-  });
+  const iface = new ethers.utils.Interface(CORE_ABI);
+  // getLogs du backfill en HTTP si dispo (le WSS vient justement de tomber)
+  const rpc = cfg.RPC_URL ? new ethers.providers.JsonRpcProvider(cfg.RPC_URL) : null;
 
-  const core = new ethers.Contract(cfg.CORE_ADDRESS, CORE_ABI, wss);
+  const status = {
+    startedAt: Date.now(),
+    connected: false,
+    connectedAt: null,
+    reconnects: 0,
+    lastDisconnect: null,   // { at, reason }
+    lastHeartbeatAt: null,
+    headBlock: null,
+    coveredBlock: null,     // tous les events <= ce bloc sont arrivés (live ou backfill)
+    lastEventBlock: null,
+    lastEventAt: null,
+    lastEvent: null,        // { tradeId, type, block }
+    events: 0,
+    backfilling: false,
+    lastBackfill: null,     // { from, to, logs, at }
+  };
 
   // simple in-memory debounce to avoid duplicates
   const recently = new Map(); // tradeId -> ts
-  const DEDUP_MS = 10_000;
-  
-  // Initialisation du batcher
-  const resyncBatcher = createResyncBatcher();
 
-  core.on("TradeEvent", async (tradeIdBn, code) => {
+  // Initialisation du batcher (sync dans ce process, même provider RPC que le backfill)
+  const syncEngine = createSyncEngine(rpc ? { provider: rpc } : {});
+  const resyncBatcher = createResyncBatcher(syncEngine);
+
+  // log: ethers Event (live) ou log brut (backfill)
+  function onTradeEvent(tradeIdBn, code, log, via) {
     try {
       const tradeId = Number(tradeIdBn.toString());
+      const decoded = decodeTradeEventCode(code);
+      const blockNumber = log?.blockNumber ?? null;
       const now = Date.now();
 
-      const last = recently.get(tradeId) || 0;
+      status.events++;
+      status.lastEventAt = now;
+      status.lastEvent = { tradeId, code: decoded.code, type: decoded.type, block: blockNumber };
+      if (blockNumber !== null) {
+        status.lastEventBlock = Math.max(status.lastEventBlock ?? 0, blockNumber);
+      }
+
+      // même log reçu en live et par le backfill => une seule fois
+      const key = log?.transactionHash ? `${log.transactionHash}:${log.logIndex}` : `${tradeId}:${decoded.code}`;
+      const last = recently.get(key) || 0;
       if (now - last < DEDUP_MS) return;
-      recently.set(tradeId, now);
+      recently.set(key, now);
 
-      console.log(`[TradeEvent] tradeId=${tradeId} code=${code} => ajout à la file d'attente...`);
+      // hint suivi de "?" tant que la table des codes n'est pas confirmée
+      const label = decoded.type !== "unknown" ? decoded.type : `${decoded.hint ?? "unknown"}?`;
+      console.log(`[TradeEvent] tradeId=${tradeId} code=${decoded.code} (${label}) block=${blockNumber ?? "?"} (${via}) => sync ${decoded.sync}`);
 
-      // Ajout au batcher au lieu de lancer le script tout de suite
-      resyncBatcher.enqueue(tradeId);
+      const event = log?.transactionHash && log.blockHash
+        ? {
+          tradeId,
+          code: decoded.code,
+          blockNumber,
+          blockHash: log.blockHash.toLowerCase(),
+          txHash: log.transactionHash.toLowerCase(),
+          logIndex: log.logIndex,
+        }
+        : null;
 
+      // Ajout au batcher au lieu de lancer le script tout de suite
+      resyncBatcher.enqueue(tradeId, decoded.sync, event);
     } catch (e) {
       console.error("Listener error:", e);
     }
+  }
+
+  let wss = null;
+  let generation = 0;     // les handlers d'un ancien socket ne font plus rien
+  let attempt = 0;
+  let reconnectTimer = null;
+
+  function scheduleReconnect(reason) {
+    if (reconnectTimer) return;
+    status.connected = false;
+    status.lastDisconnect = { at: Date.now(), reason };
+
+    const base = Math.min(RECONNECT_MAX_MS, RECONNECT_MIN_MS * 2 ** attempt);
+    const delay = Math.round(base / 2 + Math.random() * (base / 2)); // jitter
+    attempt++;
+    console.error(`WSS down (${reason}) => reconnect #${attempt} in ${delay}ms`);
+
+    reconnectTimer = setTimeout(() => {
+      reconnectTimer = null;
+      connect();
+    }, delay);
+  }
+
+  function drop(provider, reason) {
+    try {
+      provider.removeAllListeners();
+      provider._websocket?.terminate?.();
+    } catch {}
+    scheduleReconnect(reason);
+  }
+
+  // Après (re)connexion : rattrape le trou [coveredBlock - overlap .. head]
+  const backfillGap = createGapBackfiller({
+    status,
+    iface,
+    logsProvider: rpc,
+    onLog: (tradeId, code, log) => onTradeEvent(tradeId, code, log, "backfill"),
   });
 
-  console.log("Listening TradeEvent on CORE:", cfg.CORE_ADDRESS);
+  function connect() {
+    const gen = ++generation;
+    console.log("Connecting CORE WSS:", cfg.WSS_URL);
+
+    let provider;
+    try {
+      provider = new ethers.providers.WebSocketProvider(cfg.WSS_URL);
+    } catch (e) {
+      scheduleReconnect(e.message);
+      return;
+    }
+    wss = provider;
+
+    provider._websocket.on("close", (code) => {
+      if (gen !== generation) return;
+      generation++;
+      drop(provider, `closed code=${code}`);
+    });
+    provider._websocket.on("error", (e) => {
+      console.error("WSS error:", e.message || e);
+    });
+
+    provider._websocket.on("open", async () => {
+      if (gen !== generation) return;
+
+      const core = new ethers.Contract(cfg.CORE_ADDRESS, CORE_ABI, provider);
+      core.on("TradeEvent", (tradeIdBn, code, event) => {
+        if (gen !== generation) return;
+        onTradeEvent(tradeIdBn, code, event, "live");
+      });
+
+      try {
+        await backfillGap(provider, () => gen === generation);
+      } catch (e) {
+        // socket ok mais trou pas rattrapé : on recommence tout plutôt que de rester sourd
+        if (gen !== generation) return;
+        console.error("[Backfill] failed:", e.message);
+        generation++;
+        drop(provider, `backfill failed: ${e.message}`);
+        return;
+      }
+      if (gen !== generation) return;
+
+      status.connected = true;
+      status.connectedAt = Date.now();
+      status.lastHeartbeatAt = Date.now();
+      if (attempt > 0) status.reconnects++;
+      attempt = 0;
+      console.log("Listening TradeEvent on CORE:", cfg.CORE_ADDRESS);
+    });
+  }
+
+  // Heartbeat : un socket à moitié ouvert ne déclenche jamais "close"
+  setInterval(async () => {
+    const now = Date.now();
+    for (const [id, ts] of recently) if (now - ts >= DEDUP_MS) recently.delete(id);
+
+    const provider = wss;
+    const gen = generation;
+    if (!provider || !status.connected) return;
+    try {
+      const head = await withTimeout(provider.getBlockNumber(), PING_TIMEOUT_MS, "heartbeat");
+      if (gen !== generation) return;
+      status.lastHeartbeatAt = Date.now();
+      coverBlock(status, head);
+    } catch (e) {
+      if (gen !== generation) return;
+      generation++;
+      drop(provider, e.message);
+    }
+  }, PING_MS);
+
+  // Status / health
+  const server = http.createServer((req, res) => {
+    if (req.method !== "GET" || req.url.split("?")[0] !== "/health") {
+      res.writeHead(404, { "content-type": "application/json" });
+      res.end(JSON.stringify({ error: "Not found" }));
+      return;
+    }
+
+    const now = Date.now();
+    const heartbeatAgeMs = status.lastHeartbeatAt === null ? null : now - status.lastHeartbeatAt;
+    const ok = status.connected && heartbeatAgeMs !== null && heartbeatAgeMs < PING_MS + PING_TIMEOUT_MS;
+
+    res.writeHead(ok ? 200 : 503, { "content-type": "application/json" });
+    res.end(JSON.stringify({
+      ok,
+      ...status,
+      uptimeMs: now - status.startedAt,
+      heartbeatAgeMs,
+      reconnecting: reconnectTimer !== null,
+      attempt,
+      sync: syncEngine.stats(),
+    }));
+  });
+  server.on("error", (e) => console.error(`[Listener] health server error (port ${HEALTH_PORT}):`, e.message));
+  server.listen(HEALTH_PORT, HEALTH_HOST, () => {
+    console.log(`[Listener] health on http://${HEALTH_HOST}:${HEALTH_PORT}/health`);
+  });
+
+  connect();
+}
+
+if (require.main === module) {
+  main().catch((e) => {
+    console.error("fatal:", e);
+    process.exit(1);
+  });
 }
 
-main().catch((e) => {
-  console.error("fatal:", e);
-  process.exit(1);
-});
\ No newline at end of file
+module.exports = { createGapBackfiller, CORE_ABI };
@@ -0,0 +1,215 @@
+// migrations.js
+// Versioned schema steps for trades.db, applied in order by db.js (see migrate()).
+// Each step runs once, inside a transaction, and is recorded in schema_version.
+//
+// Rules:
+// - never edit or reorder a step that already shipped, append a new one instead
+// - `up` is either a SQL string or a function (db) => void
+// - steps 1 and 2 use IF NOT EXISTS so databases created before schema_version
+//   existed roll forward without losing data
+
+module.exports = [
+  {
+    version: 1,
+    name: "trades table + matching indexes",
+    up: `
+      CREATE TABLE IF NOT EXISTS trades (
+        id INTEGER PRIMARY KEY,           -- <-- YOU provide the trade id
+
+        trader TEXT NOT NULL,             -- lowercase 0x...
+        assetId INTEGER NOT NULL,         -- uint32
+
+        isLong INTEGER NOT NULL,          -- 0/1
+        isLimit INTEGER NOT NULL DEFAULT 0, -- 0=stop entry, 1=limit entry
+
+        leverage INTEGER,                -- uint8
+
+        openPrice INTEGER,               -- E6
+        state INTEGER,                   -- 0=Order,1=Open,2=Closed,3=Cancelled
+        openTimestamp INTEGER,           -- uint32
+
+        fundingIndex TEXT,               -- uint128 decimal string
+
+        closePrice INTEGER,              -- E6
+
+        lotSize INTEGER,                 -- int32
+        closedLotSize INTEGER NOT NULL DEFAULT 0, -- int32 (partial close tracking)
+
+        stopLoss INTEGER NOT NULL DEFAULT 0,     -- E6, 0 = ignore
+        takeProfit INTEGER NOT NULL DEFAULT 0,   -- E6, 0 = ignore
+
+        lpLockedCapital TEXT,            -- uint64 decimal string
+        marginUsdc TEXT                  -- uint64 decimal string
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_trader ON trades(trader);
+      CREATE INDEX IF NOT EXISTS idx_trader_state_id ON trades(trader, state, id);
+
+      -- Matching entry (state=0)
+      CREATE INDEX IF NOT EXISTS idx_entry_fast ON trades(assetId, state, isLimit, isLong, openPrice);
+
+      -- Matching exits (state=1)
+      CREATE INDEX IF NOT EXISTS idx_sl_fast ON trades(assetId, state, isLong, stopLoss);
+      CREATE INDEX IF NOT EXISTS idx_tp_fast ON trades(assetId, state, isLong, takeProfit);
+    `,
+  },
+
+  {
+    version: 2,
+    name: "trade_events history",
+    up: `
+      -- Append-only history: one row each time state / SL / TP / closedLotSize changes
+      CREATE TABLE IF NOT EXISTS trade_events (
+        seq INTEGER PRIMARY KEY AUTOINCREMENT,
+        tradeId INTEGER NOT NULL,
+        ts INTEGER NOT NULL,             -- unix ms (server clock)
+        source TEXT NOT NULL,            -- put | patch | batchUpsert | batchPatchStates | batchPatchSLTP
+
+        state INTEGER,
+        closePrice INTEGER,              -- E6
+        closedLotSize INTEGER,
+        stopLoss INTEGER,                -- E6
+        takeProfit INTEGER               -- E6
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_trade_events_trade ON trade_events(tradeId, seq);
+    `,
+  },
+
+  {
+    version: 3,
+    name: "exposure_snapshots",
+    up: `
+      -- One row per exposure refresh (services/exposures.js)
+      CREATE TABLE exposure_snapshots (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        assetId INTEGER NOT NULL,          -- uint32
+        ts INTEGER NOT NULL,               -- unix ms (server clock)
+
+        longLots INTEGER NOT NULL,         -- int32
+        shortLots INTEGER NOT NULL,        -- int32
+        longValueSum TEXT NOT NULL,        -- uint128 decimal string
+        shortValueSum TEXT NOT NULL,       -- uint128 decimal string
+        longMaxProfit TEXT NOT NULL,       -- uint128 decimal string
+        shortMaxProfit TEXT NOT NULL,      -- uint128 decimal string
+        longMaxLoss TEXT NOT NULL,         -- uint128 decimal string
+        shortMaxLoss TEXT NOT NULL         -- uint128 decimal string
+      );
+
+      CREATE INDEX idx_exposure_snapshots_asset_ts ON exposure_snapshots(assetId, ts);
+    `,
+  },
+
+  {
+    version: 4,
+    name: "assets registry",
+    up: `
+      -- Source of truth for tradable assets (services/assets.js), seeded from assets.registry.json
+      CREATE TABLE assets (
+        id INTEGER PRIMARY KEY,            -- assetId on CORE (uint32)
+        symbol TEXT NOT NULL UNIQUE,       -- Supra pair, e.g. btc_usdt
+        class TEXT NOT NULL,               -- crypto | stock | forex
+        session TEXT NOT NULL,             -- trading hours profile
+        priceDecimals INTEGER NOT NULL DEFAULT 6,
+        minLeverage INTEGER NOT NULL DEFAULT 1,
+        maxLeverage INTEGER NOT NULL,
+        enabled INTEGER NOT NULL DEFAULT 1 -- 0/1
+      );
+
+      CREATE INDEX idx_assets_class ON assets(class, enabled);
+    `,
+  },
+
+  {
+    version: 5,
+    name: "executions (tracked onchain transactions)",
+    up: `
+      -- One row per transaction sent by an executor (executor/txTracker.js).
+      -- A speed-up / replacement is a new row pointing to the one it replaces.
+      CREATE TABLE executions (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        tradeId INTEGER NOT NULL,
+        kind TEXT NOT NULL,                -- entry | exit
+        wallet TEXT NOT NULL,              -- lowercase 0x...
+        nonce INTEGER,
+        hash TEXT,
+
+        gasLimit TEXT,                     -- decimal strings (wei)
+        gasPrice TEXT,
+        maxFeePerGas TEXT,
+        maxPriorityFeePerGas TEXT,
+
+        status TEXT NOT NULL,              -- pending | mined | reverted | replaced | dropped | failed
+        attempt INTEGER NOT NULL DEFAULT 1,
+        replaces INTEGER,                  -- executions.id of the tx this one replaced
+        blockNumber INTEGER,
+
+        errorClass TEXT,                   -- retryable | terminal
+        error TEXT,
+
+        createdAt INTEGER NOT NULL,        -- unix ms
+        updatedAt INTEGER NOT NULL         -- unix ms
+      );
+
+      CREATE INDEX idx_executions_trade ON executions(tradeId, id);
+      CREATE INDEX idx_executions_status ON executions(status, id);
+    `,
+  },
+
+  {
+    version: 6,
+    name: "sync_cursors (incremental event sync)",
+    up: `
+      -- Last block fully processed by an incremental sync (sync.js --mode events)
+      CREATE TABLE sync_cursors (
+        name TEXT PRIMARY KEY,             -- e.g. core.TradeEvent
+        block INTEGER NOT NULL,
+        updatedAt INTEGER NOT NULL         -- unix ms
+      );
+    `,
+  },
+
+  {
+    version: 7,
+    name: "trade block provenance (reorg detection)",
+    up: `
+      -- Block the row was last read at onchain (sync.js pins every read to one block).
+      -- syncFinal=1 once that block is buried under SYNC_CONFIRMATIONS and still canonical;
+      -- rows written before this step (or by a writer without block info) stay NULL / unchecked.
+      ALTER TABLE trades ADD COLUMN syncBlock INTEGER;
+      ALTER TABLE trades ADD COLUMN syncBlockHash TEXT;
+      ALTER TABLE trades ADD COLUMN syncFinal INTEGER NOT NULL DEFAULT 0;
+
+      CREATE INDEX idx_trades_unfinal ON trades(syncFinal, syncBlock, syncBlockHash);
+    `,
+  },
+
+  {
+    version: 8,
+    name: "trade_lifecycle (decoded TradeEvent logs)",
+    up: `
+      -- One row per CORE TradeEvent log, code decoded by services/tradeEventCodes.js.
+      -- Written by the listener (live + backfill) and sync.js --mode events: the same log
+      -- reported twice is ignored (txHash, logIndex). Rows of orphaned blocks are deleted
+      -- by the reorg rollback, final=1 once the block is past the confirmation depth.
+      CREATE TABLE trade_lifecycle (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        tradeId INTEGER NOT NULL,
+        code INTEGER NOT NULL,             -- raw uint8 from the log
+        type TEXT NOT NULL,                -- opened | executed | sltpUpdated | closed | ... | unknown
+
+        blockNumber INTEGER NOT NULL,
+        blockHash TEXT NOT NULL,
+        txHash TEXT NOT NULL,
+        logIndex INTEGER NOT NULL,
+        final INTEGER NOT NULL DEFAULT 0,
+
+        ts INTEGER NOT NULL                -- unix ms (server clock, first seen)
+      );
+
+      CREATE UNIQUE INDEX idx_trade_lifecycle_log ON trade_lifecycle(txHash, logIndex);
+      CREATE INDEX idx_trade_lifecycle_trade ON trade_lifecycle(tradeId, blockNumber, logIndex);
+      CREATE INDEX idx_trade_lifecycle_unfinal ON trade_lifecycle(final, blockNumber, blockHash);
+    `,
+  },
+];
@@ -4,13 +4,21 @@
 // - Public READ server (0.0.0.0:3000)  -> safe to expose
 // - Private WRITE server (127.0.0.1:3001) -> local only
 
+require("dotenv").config();
+
 const express = require("express");
 const cors = require("cors"); // <-- AJOUT DE CORS ICI
-const { stmt } = require("./db");
+const { stmt, listTrades, getTradesByIds } = require("./db");
 const writeRoutes = require("./write.routes");
+const { createWriteAuth, captureRawBody } = require("./write.auth");
+const { attachTradeFeedWs } = require("./feed.ws");
+const { createRateLimiter } = require("./services/rateLimit");
+const orderBook = require("./services/orderBook");
+const { ASSET_CLASSES, getAssets, getAsset } = require("./services/assets");
+const { getSessionStatus } = require("./services/sessions");
 
 // <-- AJOUT : Import du service des expositions
-const { getAllExposures } = require("./services/exposures"); 
+const { getAllExposures, onExposureDelta } = require("./services/exposures"); 
 
 const PUBLIC_PORT = Number(process.env.PUBLIC_PORT || 7000);
 const PRIVATE_PORT = Number(process.env.PRIVATE_PORT || 7001);
@@ -26,6 +34,25 @@ function toInt(v, name) {
   return Math.trunc(n);
 }
 
+function toBoolIntQuery(v, name) {
+  const s = String(v).toLowerCase();
+  if (s === "1" || s === "true") return 1;
+  if (s === "0" || s === "false") return 0;
+  throw new Error(`Invalid ${name} (expected boolean)`);
+}
+
+const LIST_DEFAULT_LIMIT = 100;
+const LIST_MAX_LIMIT = 1000;
+const BY_IDS_MAX = 1000;
+
+// ids as array (POST body) or "1,2,3" (query string)
+function parseIdList(raw) {
+  const list = Array.isArray(raw) ? raw : String(raw ?? "").split(",").filter((s) => s.trim() !== "");
+  if (list.length === 0) throw new Error("Missing ids");
+  if (list.length > BY_IDS_MAX) throw new Error(`Too many ids (max ${BY_IDS_MAX})`);
+  return list.map((v) => toInt(v, "id"));
+}
+
 function parseMarketE6(query) {
   // market can be: 69000 (human) OR 69000000000 (E6) if unit=e6
   const raw = query.market;
@@ -46,6 +73,13 @@ const readApp = express();
 // <-- AJOUT DU MIDDLEWARE CORS POUR L'API PUBLIQUE
 readApp.use(cors()); 
 
+// Behind a reverse proxy, set TRUST_PROXY (e.g. "loopback" or 1) so req.ip is the real client
+// (otherwise every request looks like localhost and skips the rate limits).
+if (process.env.TRUST_PROXY) readApp.set("trust proxy", process.env.TRUST_PROXY);
+
+// Per-IP / per-API-key throttling (localhost executors are allowlisted)
+readApp.use(createRateLimiter());
+
 readApp.get("/health", (req, res) => res.json({ ok: true, mode: "public-read" }));
 
 // --- NOUVEAUX ENDPOINTS STATISTIQUES ---
@@ -75,7 +109,8 @@ readApp.get("/stats/total-traders", (req, res) => {
 // 3. Les stats des trades ouverts (compte et levier moyen par actif et par sens)
 readApp.get("/stats/open-trades", (req, res) => {
   try {
-    const rows = stmt.getOpenStatsPerAssetAndDirection.all();
+    const rows = stmt.getOpenStatsPerAssetAndDirection.all()
+      .map((r) => ({ ...r, symbol: getAsset(r.assetId)?.symbol ?? null }));
     res.json({ success: true, data: rows });
   } catch (e) {
     res.status(500).json({ error: "Failed to fetch open trades stats" });
@@ -84,6 +119,48 @@ readApp.get("/stats/open-trades", (req, res) => {
 
 // ---------------------------------------
 
+// GET /assets?class=crypto|stock|forex&enabled=1
+// asset registry (services/assets.js): id, symbol, class, session, priceDecimals, leverage bounds
+readApp.get("/assets", (req, res) => {
+  try {
+    const assetClass = req.query.class === undefined ? undefined : String(req.query.class).toLowerCase();
+    if (assetClass !== undefined && !ASSET_CLASSES.includes(assetClass)) {
+      return res.status(400).json({ error: `Invalid class (${ASSET_CLASSES.join("|")})` });
+    }
+    const enabledOnly = req.query.enabled === undefined ? false : toBoolIntQuery(req.query.enabled, "enabled") === 1;
+
+    const data = getAssets({ assetClass, enabledOnly });
+    res.json({ success: true, count: data.length, data });
+  } catch (e) {
+    res.status(400).json({ error: e.message || "Bad request" });
+  }
+});
+
+// GET /assets/:id
+readApp.get("/assets/:id", (req, res) => {
+  try {
+    const asset = getAsset(toInt(req.params.id, "id"));
+    if (!asset) return res.status(404).json({ error: "Asset not found" });
+    res.json({ success: true, data: asset });
+  } catch (e) {
+    res.status(400).json({ error: e.message || "Bad request" });
+  }
+});
+
+// GET /assets/:id/session[?at=<unix ms>]
+// is the market of this asset open now (weekly hours + holiday calendar, sessions.json)
+readApp.get("/assets/:id/session", (req, res) => {
+  try {
+    const asset = getAsset(toInt(req.params.id, "id"));
+    if (!asset) return res.status(404).json({ error: "Asset not found" });
+
+    const at = req.query.at === undefined ? new Date() : new Date(toInt(req.query.at, "at"));
+    res.json({ success: true, assetId: asset.id, symbol: asset.symbol, ...getSessionStatus(asset.session, at) });
+  } catch (e) {
+    res.status(400).json({ error: e.message || "Bad request" });
+  }
+});
+
 // <-- AJOUT : NOUVEAU ENDPOINT POUR LIRE LES EXPOSITIONS
 readApp.get("/exposures", (req, res) => {
   try {
@@ -98,6 +175,69 @@ readApp.get("/exposures", (req, res) => {
   }
 });
 
+// GET /exposures/stream (Server-Sent Events)
+// event "snapshot": full memory once on connect, then event "delta": { id, name, changes }
+// each time an asset's exposure moves. Comment pings keep proxies from closing the stream.
+const SSE_PING_MS = 15_000;
+
+readApp.get("/exposures/stream", (req, res) => {
+  res.set({
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache",
+    Connection: "keep-alive",
+    "X-Accel-Buffering": "no",
+  });
+  res.flushHeaders();
+
+  let eventId = 0;
+  function send(event, data) {
+    res.write(`id: ${++eventId}\nevent: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  }
+
+  send("snapshot", getAllExposures());
+  const unsubscribe = onExposureDelta((delta) => send("delta", delta));
+  const ping = setInterval(() => res.write(": ping\n\n"), SSE_PING_MS);
+
+  req.on("close", () => {
+    clearInterval(ping);
+    unsubscribe();
+  });
+});
+
+// GET /exposures/:assetId/history?from=&to=&interval=
+// from/to: unix ms (default: last 24h), interval: ms or 1m/5m/1h/1d (default 1h)
+// one point per interval = last snapshot stored in that bucket; snapshots are only written when
+// the exposure changes, so a bucket without a point kept the previous value
+const HISTORY_MAX_POINTS = 5000;
+const INTERVAL_UNITS = { s: 1000, m: 60_000, h: 3_600_000, d: 86_400_000 };
+
+function parseIntervalMs(raw) {
+  if (raw === undefined) return INTERVAL_UNITS.h;
+  const m = /^(\d+)([smhd])$/.exec(String(raw).trim().toLowerCase());
+  const ms = m ? Number(m[1]) * INTERVAL_UNITS[m[2]] : toInt(raw, "interval");
+  if (ms < 1000) throw new Error("interval must be >= 1s");
+  return ms;
+}
+
+readApp.get("/exposures/:assetId/history", (req, res) => {
+  try {
+    const assetId = toInt(req.params.assetId, "assetId");
+    const to = req.query.to === undefined ? Date.now() : toInt(req.query.to, "to");
+    const from = req.query.from === undefined ? to - 86_400_000 : toInt(req.query.from, "from");
+    const interval = parseIntervalMs(req.query.interval);
+
+    if (from > to) return res.status(400).json({ error: "from must be <= to" });
+    if ((to - from) / interval > HISTORY_MAX_POINTS) {
+      return res.status(400).json({ error: `Too many points (max ${HISTORY_MAX_POINTS}), increase interval` });
+    }
+
+    const points = stmt.getExposureHistory.all({ assetId, from, to, interval });
+    res.json({ success: true, assetId, from, to, interval, count: points.length, data: points });
+  } catch (e) {
+    res.status(400).json({ error: e.message || "Bad request" });
+  }
+});
+
 // GET /trader/:address/ids?state=all|0|1|2|3
 readApp.get("/trader/:address/ids", (req, res) => {
   try {
@@ -122,6 +262,61 @@ readApp.get("/trader/:address/ids", (req, res) => {
   }
 });
 
+// GET /trades?trader=&assetId=&state=&isLong=&isLimit=&openFrom=&openTo=&cursor=&limit=
+// full rows, newest first. Pass back `nextCursor` as `cursor` to get the next page (null = last page).
+readApp.get("/trades", (req, res) => {
+  try {
+    const q = req.query;
+    const filters = {};
+
+    if (q.trader !== undefined) {
+      filters.trader = normalizeAddress(q.trader);
+      if (!filters.trader.startsWith("0x") || filters.trader.length < 10) {
+        return res.status(400).json({ error: "Invalid address" });
+      }
+    }
+    if (q.assetId !== undefined) filters.assetId = toInt(q.assetId, "assetId");
+    if (q.state !== undefined) filters.state = toInt(q.state, "state");
+    if (q.isLong !== undefined) filters.isLong = toBoolIntQuery(q.isLong, "isLong");
+    if (q.isLimit !== undefined) filters.isLimit = toBoolIntQuery(q.isLimit, "isLimit");
+    if (q.openFrom !== undefined) filters.openFrom = toInt(q.openFrom, "openFrom");
+    if (q.openTo !== undefined) filters.openTo = toInt(q.openTo, "openTo");
+    if (q.cursor !== undefined && q.cursor !== "") filters.cursor = toInt(q.cursor, "cursor");
+
+    const limit = q.limit === undefined ? LIST_DEFAULT_LIMIT : toInt(q.limit, "limit");
+    if (limit < 1 || limit > LIST_MAX_LIMIT) {
+      return res.status(400).json({ error: `limit must be between 1 and ${LIST_MAX_LIMIT}` });
+    }
+
+    // fetch one extra row to know if another page exists
+    const rows = listTrades(filters, limit + 1);
+    const hasMore = rows.length > limit;
+    const trades = hasMore ? rows.slice(0, limit) : rows;
+    const nextCursor = hasMore ? trades[trades.length - 1].id : null;
+
+    res.json({ count: trades.length, nextCursor, trades });
+  } catch (e) {
+    res.status(400).json({ error: e.message || "Bad request" });
+  }
+});
+
+// POST /trades/byIds  body: { ids: [1,2,3] }
+// GET  /trades/byIds?ids=1,2,3
+// full rows (same format as /trade/:id) in one round trip + ids that do not exist
+function handleTradesByIds(req, res) {
+  try {
+    const raw = req.method === "POST" ? req.body?.ids : req.query.ids;
+    const ids = parseIdList(raw);
+    const { trades, notFound } = getTradesByIds(ids);
+    res.json({ count: trades.length, trades, notFound });
+  } catch (e) {
+    res.status(400).json({ error: e.message || "Bad request" });
+  }
+}
+
+readApp.post("/trades/byIds", express.json({ limit: "256kb" }), handleTradesByIds);
+readApp.get("/trades/byIds", handleTradesByIds);
+
 // GET /trade/:id
 readApp.get("/trade/:id", (req, res) => {
   try {
@@ -134,67 +329,157 @@ readApp.get("/trade/:id", (req, res) => {
   }
 });
 
-// GET /match/entry?assetId=0&market=69000[&unit=human|e6]
+// GET /trade/:id/history
+// ordered timeline of state / SL / TP / closedLotSize changes (oldest first)
+readApp.get("/trade/:id/history", (req, res) => {
+  try {
+    const id = toInt(req.params.id, "id");
+    const events = stmt.getTradeEvents.all(id);
+    if (events.length === 0 && !stmt.getTradeById.get(id)) {
+      return res.status(404).json({ error: "Trade not found" });
+    }
+    res.json({ tradeId: id, count: events.length, events });
+  } catch (e) {
+    res.status(400).json({ error: e.message || "Bad request" });
+  }
+});
+
+// GET /trade/:id/lifecycle
+// CORE TradeEvent logs in chain order: raw `code`, `type` stays "unknown" until the code table
+// (services/tradeEventCodes.js) is confirmed against the CORE source;
+// final=0 rows are not past the confirmation depth yet (a reorg can still remove them)
+readApp.get("/trade/:id/lifecycle", (req, res) => {
+  try {
+    const id = toInt(req.params.id, "id");
+    const events = stmt.getTradeLifecycle.all(id);
+    if (events.length === 0 && !stmt.getTradeById.get(id)) {
+      return res.status(404).json({ error: "Trade not found" });
+    }
+    res.json({ tradeId: id, count: events.length, events });
+  } catch (e) {
+    res.status(400).json({ error: e.message || "Bad request" });
+  }
+});
+
+// SQL reference implementation of matching (the order book index must agree with it)
+function matchEntrySql(assetId, marketE6) {
+  const rows = stmt.matchEntry.all(assetId, marketE6, marketE6, marketE6, marketE6);
+
+  const out = { limit: [], stop: [] };
+  for (const r of rows) {
+    if (r.kind === "limit") out.limit.push(r.id);
+    else if (r.kind === "stop") out.stop.push(r.id);
+  }
+  return out;
+}
+
+function matchExitsSql(assetId, marketE6) {
+  const rows = stmt.matchExits.all(
+    marketE6, marketE6, marketE6, marketE6,
+    assetId,
+    marketE6, marketE6, marketE6, marketE6
+  );
+
+  const out = { stopLoss: [], takeProfit: [] };
+  for (const r of rows) {
+    if (r.kind === "stopLoss") out.stopLoss.push(r.id);
+    else if (r.kind === "takeProfit") out.takeProfit.push(r.id);
+  }
+  return out;
+}
+
+function useSql(query) {
+  return String(query.source || "").toLowerCase() === "sql";
+}
+
+// /match/* take any numeric assetId, registered or not (no trades => empty result)
+
+// GET /match/entry?assetId=0&market=69000[&unit=human|e6][&source=sql]
 // returns ids executable for state=0 (orders)
 readApp.get("/match/entry", (req, res) => {
   try {
     const assetId = toInt(req.query.assetId, "assetId");
     const marketE6 = parseMarketE6(req.query);
 
-    const rows = stmt.matchEntry.all(assetId, marketE6, marketE6, marketE6, marketE6);
-
-    const out = { limit: [], stop: [] };
-    for (const r of rows) {
-      if (r.kind === "limit") out.limit.push(r.id);
-      else if (r.kind === "stop") out.stop.push(r.id);
-    }
+    const out = useSql(req.query) ? matchEntrySql(assetId, marketE6) : orderBook.matchEntry(assetId, marketE6);
 
     res.json({ assetId, marketE6, ...out });
   } catch (e) {
-    res.status(400).json({ error: e.message || "Bad request" });
+    res.status(e.status || 400).json({ error: e.message || "Bad request" });
   }
 });
 
-// GET /match/exits?assetId=0&market=69000[&unit=human|e6]
+// GET /match/exits?assetId=0&market=69000[&unit=human|e6][&source=sql]
 // returns ids executable for state=1 (open positions) based on SL/TP
 readApp.get("/match/exits", (req, res) => {
   try {
     const assetId = toInt(req.query.assetId, "assetId");
     const marketE6 = parseMarketE6(req.query);
 
-    const rows = stmt.matchExits.all(
-      marketE6, marketE6, marketE6, marketE6,
-      assetId,
-      marketE6, marketE6, marketE6, marketE6
-    );
-
-    const out = { stopLoss: [], takeProfit: [] };
-    for (const r of rows) {
-      if (r.kind === "stopLoss") out.stopLoss.push(r.id);
-      else if (r.kind === "takeProfit") out.takeProfit.push(r.id);
-    }
+    const out = useSql(req.query) ? matchExitsSql(assetId, marketE6) : orderBook.matchExits(assetId, marketE6);
 
     res.json({ assetId, marketE6, ...out });
   } catch (e) {
-    res.status(400).json({ error: e.message || "Bad request" });
+    res.status(e.status || 400).json({ error: e.message || "Bad request" });
+  }
+});
+
+// GET /match/check?assetId=0&market=69000[&unit=human|e6]
+// consistency check: in-memory order book vs SQL, lists ids found on one side only
+function diffIds(indexIds, sqlIds) {
+  const a = new Set(indexIds);
+  const b = new Set(sqlIds);
+  return {
+    onlyIndex: indexIds.filter((id) => !b.has(id)),
+    onlySql: sqlIds.filter((id) => !a.has(id)),
+  };
+}
+
+readApp.get("/match/check", (req, res) => {
+  try {
+    const assetId = toInt(req.query.assetId, "assetId");
+    const marketE6 = parseMarketE6(req.query);
+
+    const entryIdx = orderBook.matchEntry(assetId, marketE6);
+    const entrySql = matchEntrySql(assetId, marketE6);
+    const exitsIdx = orderBook.matchExits(assetId, marketE6);
+    const exitsSql = matchExitsSql(assetId, marketE6);
+
+    const diff = {
+      limit: diffIds(entryIdx.limit, entrySql.limit),
+      stop: diffIds(entryIdx.stop, entrySql.stop),
+      stopLoss: diffIds(exitsIdx.stopLoss, exitsSql.stopLoss),
+      takeProfit: diffIds(exitsIdx.takeProfit, exitsSql.takeProfit),
+    };
+    const consistent = Object.values(diff).every((d) => !d.onlyIndex.length && !d.onlySql.length);
+    if (!consistent) console.error(`[OrderBook] mismatch with SQL assetId=${assetId} market=${marketE6}`, JSON.stringify(diff));
+
+    res.json({ assetId, marketE6, consistent, diff, book: orderBook.getOrderBookStats().assets[assetId] || null });
+  } catch (e) {
+    res.status(e.status || 400).json({ error: e.message || "Bad request" });
   }
 });
 
 // Public server listens on all interfaces
-readApp.listen(PUBLIC_PORT, "0.0.0.0", () => {
+const readServer = readApp.listen(PUBLIC_PORT, "0.0.0.0", () => {
   console.log(`Public READ API: http://0.0.0.0:${PUBLIC_PORT}`);
+  console.log(`Public trade feed (WebSocket): ws://0.0.0.0:${PUBLIC_PORT}/ws`);
 });
 
+// Realtime trade changes on the same port
+attachTradeFeedWs(readServer, { path: "/ws" });
+
 // --------------------
 // PRIVATE WRITE server (LOCAL ONLY)
 // --------------------
 const writeApp = express();
 
-// <-- AJOUT DU MIDDLEWARE CORS POUR L'API PRIVÉE
-writeApp.use(cors()); 
-writeApp.use(express.json({ limit: "1mb" }));
+// No CORS here: browsers have no business calling the write API.
+// Every write route needs an HMAC-signed request (see write.auth.js); keep the raw body for it.
+writeApp.use(express.json({ limit: "1mb", verify: captureRawBody }));
 
 writeApp.get("/health", (req, res) => res.json({ ok: true, mode: "private-write" }));
+writeApp.use(createWriteAuth());
 writeApp.use("/", writeRoutes);
 
 // Private server listens ONLY on localhost
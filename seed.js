@@ -1,7 +1,10 @@
 // seed.js (BATCH VERSION)
 // Uses: POST http://127.0.0.1:3001/trades/batchUpsert  with { trades: [...] }
 
+require("dotenv").config();
+
 const http = require("http");
+const { signRequest, clientCredentialsFromEnv } = require("./write.auth");
 
 const WRITE_HOST = "127.0.0.1";
 const WRITE_PORT = 3001;
@@ -44,6 +47,7 @@ function postBatch(trades, attempt = 1) {
           "Content-Type": "application/json",
           "Content-Length": Buffer.byteLength(payload),
           "Connection": "close",
+          ...signRequest({ ...clientCredentialsFromEnv(), method: "POST", path: "/trades/batchUpsert", body: payload }),
         },
       },
       (res) => {
@@ -0,0 +1,115 @@
+// services/assets.js
+// Asset registry: single place that maps assetId <-> Supra symbol, class, trading session,
+// price decimals and leverage bounds. Backed by the `assets` table in trades.db.
+// assets.registry.json only SEEDS the table (missing ids are inserted at startup, rows
+// already in the DB are left alone); edits go through PUT /assets/:id on the write server.
+// Other processes (executors) read it via GET /assets.
+
+const fs = require("fs");
+const path = require("path");
+const { stmt } = require("../db");
+const { hasSession } = require("./sessions");
+
+const SEED_FILE = process.env.ASSET_REGISTRY_FILE || path.resolve(__dirname, "../assets.registry.json");
+const ASSET_CLASSES = ["crypto", "stock", "forex"];
+
+let cache = null; // { list, byId, bySymbol }
+
+function rowToAsset(r) {
+  return {
+    id: r.id,
+    symbol: r.symbol,
+    class: r.class,
+    session: r.session,
+    priceDecimals: r.priceDecimals,
+    minLeverage: r.minLeverage,
+    maxLeverage: r.maxLeverage,
+    enabled: r.enabled === 1,
+  };
+}
+
+// Throws on invalid input, returns the row to store (enabled as 0/1)
+function validateAsset(a) {
+  const id = Number(a.id);
+  if (!Number.isInteger(id) || id < 0 || id > 0xffffffff) throw new Error("Invalid id (uint32)");
+  if (typeof a.symbol !== "string" || !/^[a-z0-9]+_[a-z0-9]+$/.test(a.symbol)) {
+    throw new Error(`Invalid symbol for id=${id} (expected e.g. btc_usdt)`);
+  }
+  if (!ASSET_CLASSES.includes(a.class)) throw new Error(`Invalid class for id=${id} (${ASSET_CLASSES.join("|")})`);
+  if (typeof a.session !== "string" || !hasSession(a.session)) throw new Error(`Unknown session for id=${id} (see sessions.json)`);
+
+  const priceDecimals = a.priceDecimals === undefined ? 6 : Number(a.priceDecimals);
+  const minLeverage = a.minLeverage === undefined ? 1 : Number(a.minLeverage);
+  const maxLeverage = Number(a.maxLeverage);
+  if (!Number.isInteger(priceDecimals) || priceDecimals < 0 || priceDecimals > 18) throw new Error(`Invalid priceDecimals for id=${id}`);
+  if (!Number.isInteger(minLeverage) || minLeverage < 1 || minLeverage > 255) throw new Error(`Invalid minLeverage for id=${id} (uint8)`);
+  if (!Number.isInteger(maxLeverage) || maxLeverage < minLeverage || maxLeverage > 255) {
+    throw new Error(`Invalid maxLeverage for id=${id} (uint8, >= minLeverage)`);
+  }
+
+  const enabled = a.enabled === undefined ? 1 : (a.enabled === true || a.enabled === 1 || a.enabled === "true" ? 1 : 0);
+
+  return { id, symbol: a.symbol, class: a.class, session: a.session, priceDecimals, minLeverage, maxLeverage, enabled };
+}
+
+function seedFromFile(file = SEED_FILE) {
+  if (!fs.existsSync(file)) return 0;
+  const list = JSON.parse(fs.readFileSync(file, "utf8"));
+  if (!Array.isArray(list)) throw new Error(`${file}: expected a JSON array`);
+
+  let inserted = 0;
+  for (const a of list) {
+    inserted += stmt.insertAssetIfMissing.run(validateAsset(a)).changes;
+  }
+  if (inserted) console.log(`[Assets] seeded ${inserted} asset(s) from ${path.basename(file)}`);
+  return inserted;
+}
+
+function load() {
+  const list = stmt.getAssets.all().map(rowToAsset);
+  const byId = new Map();
+  const bySymbol = new Map();
+  for (const a of list) {
+    byId.set(a.id, a);
+    bySymbol.set(a.symbol, a);
+  }
+  cache = { list, byId, bySymbol };
+  return cache;
+}
+
+function registry() {
+  return cache || load();
+}
+
+// filters: { assetClass?: "crypto"|"stock"|"forex", enabledOnly?: boolean }
+function getAssets({ assetClass, enabledOnly = false } = {}) {
+  return registry().list.filter((a) =>
+    (!assetClass || a.class === assetClass) && (!enabledOnly || a.enabled)
+  );
+}
+
+function getAsset(id) {
+  return registry().byId.get(Number(id)) || null;
+}
+
+function getAssetBySymbol(symbol) {
+  return registry().bySymbol.get(String(symbol)) || null;
+}
+
+// Insert or replace one asset (write server, admin scope). Returns the stored asset.
+function saveAsset(input) {
+  const row = validateAsset(input);
+  stmt.upsertAsset.run(row);
+  load();
+  return getAsset(row.id);
+}
+
+seedFromFile();
+
+module.exports = {
+  ASSET_CLASSES,
+  getAssets,
+  getAsset,
+  getAssetBySymbol,
+  saveAsset,
+};
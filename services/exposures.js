@@ -1,10 +1,18 @@
 // exposures.service.js
 require('dotenv').config();
+const { EventEmitter } = require("events");
 const { ethers } = require("ethers");
+const { stmt } = require("../db");
+// Les actifs (id -> symbole) viennent du registre central (table assets)
+const { getAssets, getAsset } = require("./assets");
 
 const provider = new ethers.providers.JsonRpcProvider(process.env.RPC_URL);
 const coreAddress = process.env.CORE_ADDRESS;
 
+// Rétention de l'historique : les snapshots plus vieux sont purgés (le dernier de chaque actif reste)
+const EXPOSURE_RETENTION_DAYS = Number(process.env.EXPOSURE_RETENTION_DAYS || 90);
+const EXPOSURE_PRUNE_MS = Number(process.env.EXPOSURE_PRUNE_MS || 3_600_000);
+
 const exposureAbi = [
   {
     "inputs": [{ "internalType": "uint32", "name": "", "type": "uint32" }],
@@ -26,26 +34,78 @@ const exposureAbi = [
 
 const contract = new ethers.Contract(coreAddress, exposureAbi, provider);
 
-const assets = {
-  6004:'aapl_usd', 6005:'amzn_usd', 6010:'coin_usd', 6003:'goog_usd',
-  6011:'gme_usd', 6009:'intc_usd', 6059:'ko_usd', 6068:'mcd_usd',
-  6001:'msft_usd', 6066:'ibm_usd', 6006:'meta_usd', 6002:'nvda_usd',
-  6000:'tsla_usd', 5010:'aud_usd', 5000:'eur_usd', 5002:'gbp_usd',
-  5013:'nzd_usd', 5011:'usd_cad', 5012:'usd_chf', 5001:'usd_jpy',
-  5501:'xag_usd', 5500:'xau_usd', 0:'btc_usdt', 1:'eth_usdt',
-  10:'sol_usdt', 14:'xrp_usdt', 5:'avax_usdt', 3:'doge_usdt',
-  15:'trx_usdt', 16:'ada_usdt', 90:'sui_usdt', 2:'link_usdt',
-  6034:'nike_usd', 6113:'spdia_usd', 6114:'qqqm_usd', 6115:'iwm_usd'
-};
-
 // Notre mémoire locale
 let exposuresMemory = {};
 
+// Deltas poussés à chaque changement d'un actif (consommés par GET /exposures/stream)
+const exposuresEvents = new EventEmitter();
+exposuresEvents.setMaxListeners(0);
+
+const EXPOSURE_FIELDS = [
+    "longLots", "shortLots", "longValueSum", "shortValueSum",
+    "longMaxProfit", "shortMaxProfit", "longMaxLoss", "shortMaxLoss"
+];
+
+// Historique : une ligne dans exposure_snapshots (trades.db) seulement quand l'actif a bougé
+function saveSnapshot(item) {
+    try {
+        stmt.insertExposureSnapshot.run({
+            assetId: item.id,
+            ts: Date.now(),
+            longLots: Number(item.longLots),
+            shortLots: Number(item.shortLots),
+            longValueSum: item.longValueSum,
+            shortValueSum: item.shortValueSum,
+            longMaxProfit: item.longMaxProfit,
+            shortMaxProfit: item.shortMaxProfit,
+            longMaxLoss: item.longMaxLoss,
+            shortMaxLoss: item.shortMaxLoss,
+        });
+    } catch (error) {
+        console.error(`[Exposures] Erreur sauvegarde snapshot ID ${item.id}:`, error);
+    }
+}
+
+// Au démarrage : on repart du dernier snapshot connu en attendant la réponse du RPC
+function loadLastSnapshots() {
+    try {
+        for (const row of stmt.getLatestExposureSnapshots.all()) {
+            const asset = getAsset(row.assetId);
+            if (!asset) continue;
+            const item = { id: row.assetId, name: asset.symbol };
+            for (const f of EXPOSURE_FIELDS) item[f] = String(row[f]);
+            exposuresMemory[row.assetId] = item;
+        }
+    } catch (error) {
+        console.error("[Exposures] Erreur chargement des snapshots:", error);
+    }
+}
+
+// Écrit en mémoire et émet { id, name, changes: { champ: nouvelleValeur } } si quelque chose a bougé
+function applyExposure(item) {
+    const prev = exposuresMemory[item.id];
+    exposuresMemory[item.id] = item;
+
+    const changes = {};
+    for (const f of EXPOSURE_FIELDS) {
+        if (!prev || prev[f] !== item[f]) changes[f] = item[f];
+    }
+    if (Object.keys(changes).length === 0) return;
+
+    saveSnapshot(item);
+
+    try {
+        exposuresEvents.emit("delta", { id: item.id, name: item.name, changes });
+    } catch (error) {
+        console.error("[Exposures] Erreur listener delta:", error);
+    }
+}
+
 async function fetchExposure(id) {
     const data = await contract.exposures(id);
     return {
         id: Number(id),
-        name: assets[id],
+        name: getAsset(id)?.symbol,
         longLots: data.longLots.toString(),
         shortLots: data.shortLots.toString(),
         longValueSum: data.longValueSum.toString(),
@@ -60,13 +120,11 @@ async function fetchExposure(id) {
 // Fonction pour tout mettre à jour
 async function updateAllExposures() {
     console.log("[Exposures] Démarrage de la mise à jour complète depuis le RPC...");
-    const ids = Object.keys(assets);
+    const ids = getAssets().map(a => a.id);
     try {
         const promises = ids.map(id => fetchExposure(id));
         const results = await Promise.all(promises);
-        results.forEach(item => {
-            exposuresMemory[item.id] = item;
-        });
+        results.forEach(item => applyExposure(item));
         console.log(`[Exposures] Mise à jour terminée en mémoire pour ${ids.length} actifs.`);
         return true;
     } catch (error) {
@@ -77,10 +135,10 @@ async function updateAllExposures() {
 
 // Fonction pour mettre à jour un seul actif
 async function updateExposure(id) {
-    if (!assets[id]) return false;
+    if (!getAsset(id)) return false;
     try {
         const item = await fetchExposure(id);
-        exposuresMemory[id] = item;
+        applyExposure(item);
         return true;
     } catch (error) {
         console.error(`[Exposures] Erreur maj ID ${id}:`, error);
@@ -93,12 +151,33 @@ function getAllExposures() {
     return exposuresMemory;
 }
 
+// Purge des snapshots hors rétention
+function pruneSnapshots() {
+    try {
+        const before = Date.now() - EXPOSURE_RETENTION_DAYS * 86_400_000;
+        const { changes } = stmt.pruneExposureSnapshots.run({ before });
+        if (changes) console.log(`[Exposures] ${changes} snapshots purgés (> ${EXPOSURE_RETENTION_DAYS} j)`);
+    } catch (error) {
+        console.error("[Exposures] Erreur purge des snapshots:", error);
+    }
+}
+
+// Abonnement aux deltas, retourne la fonction de désabonnement
+function onExposureDelta(fn) {
+    exposuresEvents.on("delta", fn);
+    return () => exposuresEvents.off("delta", fn);
+}
+
 // Lancement automatique de la première mise à jour quand le fichier est chargé par Node
+loadLastSnapshots();
 updateAllExposures();
+pruneSnapshots();
+setInterval(pruneSnapshots, EXPOSURE_PRUNE_MS).unref();
 
 // On exporte les fonctions pour qu'elles soient utilisables par d'autres fichiers en interne
 module.exports = {
     updateAllExposures,
     updateExposure,
-    getAllExposures
+    getAllExposures,
+    onExposureDelta
 };
\ No newline at end of file
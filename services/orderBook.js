@@ -0,0 +1,124 @@
+// services/orderBook.js
+// In-memory, price-sorted index of everything the executors can trigger:
+// - pending orders (state=0) by entry price
+// - SL / TP levels of open trades (state=1)
+// Loaded from SQLite at startup, then kept in sync with db.js `commits` (every write that
+// goes through write.routes.js). Each side is a skip list (services/sortedLevels.js): updates
+// are O(log n), matching O(log n + matches).
+// stmt.matchEntry / stmt.matchExits stay the reference (GET /match/*?source=sql, /match/check).
+
+const { stmt, commits } = require("../db");
+const { SortedLevels } = require("./sortedLevels");
+
+// Side names, and which direction triggers them (same rules as stmt.matchEntry / matchExits)
+//   limitLong: market <= openPrice  limitShort: market >= openPrice
+//   stopLong:  market >= openPrice  stopShort:  market <= openPrice
+//   slLong:    market <= stopLoss   slShort:    market >= stopLoss
+//   tpLong:    market >= takeProfit tpShort:    market <= takeProfit
+const SIDES = ["limitLong", "limitShort", "stopLong", "stopShort", "slLong", "slShort", "tpLong", "tpShort"];
+
+const books = new Map();   // assetId -> { [side]: SortedLevels }
+const placed = new Map();  // tradeId -> { assetId, levels: [[side, price]] }
+
+function getBook(assetId) {
+  let b = books.get(assetId);
+  if (!b) {
+    b = {};
+    for (const s of SIDES) b[s] = new SortedLevels();
+    books.set(assetId, b);
+  }
+  return b;
+}
+
+// Where a trade row belongs in the book ([] = not matchable)
+function levelsFor(t) {
+  const out = [];
+  const long = t.isLong === 1;
+
+  if (t.state === 0 && t.openPrice !== null && t.openPrice !== undefined) {
+    if (t.isLimit === 1) out.push([long ? "limitLong" : "limitShort", t.openPrice]);
+    else out.push([long ? "stopLong" : "stopShort", t.openPrice]);
+  }
+
+  if (t.state === 1) {
+    if (t.stopLoss) out.push([long ? "slLong" : "slShort", t.stopLoss]);
+    if (t.takeProfit) out.push([long ? "tpLong" : "tpShort", t.takeProfit]);
+  }
+  return out;
+}
+
+function removeTrade(tradeId) {
+  const p = placed.get(tradeId);
+  if (!p) return;
+  const book = getBook(p.assetId);
+  for (const [side, price] of p.levels) book[side].remove(price, tradeId);
+  placed.delete(tradeId);
+}
+
+// Insert / move / drop a trade from its full row
+function upsertTrade(t) {
+  removeTrade(t.id);
+  const levels = levelsFor(t);
+  if (!levels.length) return;
+
+  const book = getBook(t.assetId);
+  for (const [side, price] of levels) book[side].insert(price, t.id);
+  placed.set(t.id, { assetId: t.assetId, levels });
+}
+
+function matchEntry(assetId, marketE6) {
+  const b = books.get(assetId);
+  if (!b) return { limit: [], stop: [] };
+  return {
+    limit: [...b.limitLong.atOrAbove(marketE6), ...b.limitShort.atOrBelow(marketE6)],
+    stop: [...b.stopLong.atOrBelow(marketE6), ...b.stopShort.atOrAbove(marketE6)],
+  };
+}
+
+function matchExits(assetId, marketE6) {
+  const b = books.get(assetId);
+  if (!b) return { stopLoss: [], takeProfit: [] };
+
+  const stopLoss = [...b.slLong.atOrAbove(marketE6), ...b.slShort.atOrBelow(marketE6)];
+  // like the SQL CASE: a trade hitting both levels is reported as stopLoss only
+  const sl = new Set(stopLoss);
+  const takeProfit = [...b.tpLong.atOrBelow(marketE6), ...b.tpShort.atOrAbove(marketE6)]
+    .filter((id) => !sl.has(id));
+
+  return { stopLoss, takeProfit };
+}
+
+function loadFromDb() {
+  const started = Date.now();
+  books.clear();
+  placed.clear();
+
+  for (const t of stmt.getMatchableTrades.iterate()) upsertTrade(t);
+
+  console.log(`[OrderBook] loaded ${placed.size} matchable trades in ${Date.now() - started}ms`);
+}
+
+function getOrderBookStats() {
+  const assets = {};
+  for (const [assetId, b] of books) {
+    assets[assetId] = {};
+    for (const s of SIDES) assets[assetId][s] = b[s].size;
+  }
+  return { trades: placed.size, assets };
+}
+
+loadFromDb();
+
+commits.on("trades", (changes) => {
+  for (const c of changes) {
+    if (c.op === "delete") removeTrade(c.trade.id);
+    else upsertTrade(c.trade);
+  }
+});
+
+module.exports = {
+  matchEntry,
+  matchExits,
+  getOrderBookStats,
+  loadFromDb,
+};
@@ -0,0 +1,136 @@
+// services/rateLimit.js
+// Token-bucket rate limiting for the PUBLIC read API.
+//
+// - one bucket per (route group, client), client = API key if a valid x-api-key is sent, else IP
+// - API keys (READ_API_KEYS="keyA:10,keyB:5") get the group limits multiplied by their factor
+// - localhost + RATE_LIMIT_ALLOWLIST (comma separated IPs) are never throttled (executors)
+// - limits per group can be overridden with RATE_LIMITS as JSON:
+//     RATE_LIMITS='{"match":{"capacity":40,"refillPerSec":20}}'
+//
+// Every limited response carries RateLimit-Limit / RateLimit-Remaining / RateLimit-Reset,
+// and a 429 adds Retry-After (seconds).
+
+const DEFAULT_GROUPS = {
+  match: { capacity: 20, refillPerSec: 10 },   // /match/*  (heavy matching queries)
+  stats: { capacity: 30, refillPerSec: 5 },    // /stats/*, /exposures*
+  trades: { capacity: 60, refillPerSec: 20 },  // /trade/*, /trades*, /trader/*
+  default: { capacity: 60, refillPerSec: 20 },
+};
+
+// first matching prefix wins
+const GROUP_PREFIXES = [
+  ["/match/", "match"],
+  ["/stats/", "stats"],
+  ["/exposures", "stats"],
+  ["/trades", "trades"],
+  ["/trade/", "trades"],
+  ["/trader/", "trades"],
+];
+
+const LOCALHOST = ["127.0.0.1", "::1", "::ffff:127.0.0.1"];
+const SWEEP_INTERVAL_MS = 60_000;
+
+function resolveGroup(path) {
+  for (const [prefix, group] of GROUP_PREFIXES) {
+    if (path.startsWith(prefix)) return group;
+  }
+  return "default";
+}
+
+function loadGroups(raw = process.env.RATE_LIMITS) {
+  const groups = JSON.parse(JSON.stringify(DEFAULT_GROUPS));
+  if (!raw) return groups;
+
+  const overrides = JSON.parse(raw);
+  for (const [name, cfg] of Object.entries(overrides)) {
+    const capacity = Number(cfg.capacity);
+    const refillPerSec = Number(cfg.refillPerSec);
+    if (!(capacity > 0) || !(refillPerSec > 0)) throw new Error(`Invalid RATE_LIMITS for group "${name}"`);
+    groups[name] = { capacity, refillPerSec };
+  }
+  return groups;
+}
+
+function loadReadApiKeys(raw = process.env.READ_API_KEYS || "") {
+  const keys = new Map();
+  for (const entry of raw.split(",").map((s) => s.trim()).filter(Boolean)) {
+    const [key, factor] = entry.split(":");
+    const f = factor === undefined ? 1 : Number(factor);
+    if (!key || !(f > 0)) throw new Error(`Invalid READ_API_KEYS entry "${entry}" (expected key[:factor])`);
+    keys.set(key, f);
+  }
+  return keys;
+}
+
+function loadAllowlist(raw = process.env.RATE_LIMIT_ALLOWLIST || "") {
+  return new Set([...LOCALHOST, ...raw.split(",").map((s) => s.trim()).filter(Boolean)]);
+}
+
+function createRateLimiter({
+  groups = loadGroups(),
+  apiKeys = loadReadApiKeys(),
+  allowlist = loadAllowlist(),
+} = {}) {
+  const buckets = new Map(); // `${group}|${client}` -> { tokens, updatedAt, capacity, refillPerSec }
+
+  // forget buckets that are full again (idle clients)
+  const sweeper = setInterval(() => {
+    const now = Date.now();
+    for (const [k, b] of buckets) {
+      if (b.tokens + ((now - b.updatedAt) / 1000) * b.refillPerSec >= b.capacity) buckets.delete(k);
+    }
+  }, SWEEP_INTERVAL_MS);
+  sweeper.unref();
+
+  function take(bucketKey, limits, now) {
+    let b = buckets.get(bucketKey);
+    if (!b) {
+      b = { tokens: limits.capacity, updatedAt: now, ...limits };
+      buckets.set(bucketKey, b);
+    }
+
+    b.tokens = Math.min(b.capacity, b.tokens + ((now - b.updatedAt) / 1000) * b.refillPerSec);
+    b.updatedAt = now;
+
+    if (b.tokens >= 1) {
+      b.tokens -= 1;
+      return { ok: true, remaining: Math.floor(b.tokens), retryAfterSec: 0, resetSec: Math.ceil((b.capacity - b.tokens) / b.refillPerSec) };
+    }
+    const retryAfterSec = Math.ceil((1 - b.tokens) / b.refillPerSec);
+    return { ok: false, remaining: 0, retryAfterSec, resetSec: retryAfterSec };
+  }
+
+  return function rateLimit(req, res, next) {
+    if (allowlist.has(req.ip)) return next();
+
+    const apiKey = req.get("x-api-key");
+    let client = `ip:${req.ip}`;
+    let factor = 1;
+
+    if (apiKey !== undefined) {
+      if (!apiKeys.has(apiKey)) return res.status(401).json({ error: "Invalid API key" });
+      client = `key:${apiKey}`;
+      factor = apiKeys.get(apiKey);
+    }
+
+    const group = resolveGroup(req.path);
+    const base = groups[group] || groups.default;
+    const limits = { capacity: base.capacity * factor, refillPerSec: base.refillPerSec * factor };
+
+    const r = take(`${group}|${client}`, limits, Date.now());
+
+    res.set({
+      "RateLimit-Limit": String(limits.capacity),
+      "RateLimit-Remaining": String(r.remaining),
+      "RateLimit-Reset": String(r.resetSec),
+    });
+
+    if (!r.ok) {
+      res.set("Retry-After", String(r.retryAfterSec));
+      return res.status(429).json({ error: "Too many requests", group, retryAfter: r.retryAfterSec });
+    }
+    next();
+  };
+}
+
+module.exports = { createRateLimiter, resolveGroup };
@@ -0,0 +1,197 @@
+// services/sessions.js
+// Trading sessions: weekly hours per session profile + holiday calendars, from sessions.json
+// (repo root, override with SESSIONS_FILE). Assets point to a profile with their `session` field.
+//
+// Hours are wall-clock times in the session timezone, [open, close) ranges, "24:00" = end of day.
+// Calendar entries close the market for the whole local date, or from `closeAt` on (early close).
+// All boundaries must fall on a multiple of 5 minutes (next open/close is searched by 5 min steps).
+// A calendar covers the years it has entries for: on a local date of any other year the session
+// is reported closed (reason "no_calendar", logged once) rather than open through unknown
+// holidays, and loadSessions logs the current / next year missing at startup.
+//
+// Pure module (no DB): shared by the read API and the executors.
+
+const fs = require("fs");
+const path = require("path");
+
+const SESSIONS_FILE = process.env.SESSIONS_FILE || path.resolve(__dirname, "../sessions.json");
+const DAYS = ["sun", "mon", "tue", "wed", "thu", "fri", "sat"];
+const STEP_MIN = 5;
+const SEARCH_DAYS = 10;
+
+let config = null;
+const formatters = new Map(); // timezone -> Intl.DateTimeFormat
+const missingYearsLogged = new Set(); // `${calendar}:${year}`
+
+function toMinutes(hhmm, where) {
+  const m = /^(\d{2}):(\d{2})$/.exec(String(hhmm));
+  const minutes = m ? Number(m[1]) * 60 + Number(m[2]) : NaN;
+  if (!m || Number(m[2]) > 59 || minutes > 24 * 60 || minutes % STEP_MIN !== 0) {
+    throw new Error(`${where}: invalid time "${hhmm}" (HH:MM, multiple of ${STEP_MIN} min)`);
+  }
+  return minutes;
+}
+
+function loadSessions(file = SESSIONS_FILE) {
+  const raw = JSON.parse(fs.readFileSync(file, "utf8"));
+  const sessions = {};
+  const calendars = {};
+
+  for (const [name, entries] of Object.entries(raw.calendars || {})) {
+    const byDate = new Map();
+    const years = new Set();
+    for (const h of entries) {
+      if (!/^\d{4}-\d{2}-\d{2}$/.test(h.date)) throw new Error(`calendar ${name}: invalid date "${h.date}"`);
+      years.add(h.date.slice(0, 4));
+      byDate.set(h.date, {
+        date: h.date,
+        name: h.name || "Holiday",
+        closeAt: h.closeAt === undefined ? null : toMinutes(h.closeAt, `calendar ${name} ${h.date}`),
+      });
+    }
+    calendars[name] = { name, days: byDate, years };
+
+    const year = new Date().getUTCFullYear();
+    for (const y of [year, year + 1]) {
+      if (!years.has(String(y))) {
+        console.error(`[Sessions] ${file}: calendar ${name} has no entries for ${y}, its sessions are reported closed that year`);
+      }
+    }
+  }
+
+  for (const [id, s] of Object.entries(raw.sessions || {})) {
+    const timezone = s.timezone || "UTC";
+    // throws RangeError on an unknown timezone
+    new Intl.DateTimeFormat("en-US", { timeZone: timezone });
+
+    if (s.calendar && !calendars[s.calendar]) throw new Error(`session ${id}: unknown calendar "${s.calendar}"`);
+
+    const weekly = {};
+    for (const day of DAYS) {
+      weekly[day] = ((s.weekly || {})[day] || []).map(([open, close]) => {
+        const o = toMinutes(open, `session ${id} ${day}`);
+        const c = toMinutes(close, `session ${id} ${day}`);
+        if (c <= o) throw new Error(`session ${id} ${day}: close must be after open`);
+        return [o, c];
+      });
+    }
+
+    sessions[id] = {
+      id,
+      timezone,
+      alwaysOpen: s.alwaysOpen === true,
+      weekly,
+      calendar: s.calendar ? calendars[s.calendar] : null,
+    };
+  }
+
+  config = { file, sessions };
+  return config;
+}
+
+function getConfig() {
+  return config || loadSessions();
+}
+
+// Local wall clock of `date` in `timezone`: { ymd: "2026-10-19", day: "mon", minutes: 570 }
+function localTime(date, timezone) {
+  let f = formatters.get(timezone);
+  if (!f) {
+    f = new Intl.DateTimeFormat("en-US", {
+      timeZone: timezone,
+      weekday: "short",
+      year: "numeric",
+      month: "2-digit",
+      day: "2-digit",
+      hour: "2-digit",
+      minute: "2-digit",
+      hourCycle: "h23",
+    });
+    formatters.set(timezone, f);
+  }
+
+  const p = {};
+  for (const part of f.formatToParts(date)) p[part.type] = part.value;
+  return {
+    ymd: `${p.year}-${p.month}-${p.day}`,
+    day: p.weekday.slice(0, 3).toLowerCase(),
+    minutes: Number(p.hour) * 60 + Number(p.minute),
+  };
+}
+
+// { open, reason: "open"|"always_open"|"weekend"|"holiday"|"early_close"|"closed"|"no_calendar", holiday }
+function statusAt(session, date) {
+  if (session.alwaysOpen) return { open: true, reason: "always_open", holiday: null };
+
+  const t = localTime(date, session.timezone);
+  const calendar = session.calendar;
+  if (calendar && !calendar.years.has(t.ymd.slice(0, 4))) {
+    const key = `${calendar.name}:${t.ymd.slice(0, 4)}`;
+    if (!missingYearsLogged.has(key)) {
+      missingYearsLogged.add(key);
+      console.error(`[Sessions] calendar ${calendar.name} has no entries for ${t.ymd.slice(0, 4)}: session ${session.id} reported closed (update ${config.file})`);
+    }
+    return { open: false, reason: "no_calendar", holiday: null };
+  }
+  const holiday = calendar ? calendar.days.get(t.ymd) || null : null;
+
+  if (holiday && holiday.closeAt === null) return { open: false, reason: "holiday", holiday };
+  if (holiday && t.minutes >= holiday.closeAt) return { open: false, reason: "early_close", holiday };
+
+  const ranges = session.weekly[t.day] || [];
+  if (!ranges.length) return { open: false, reason: "weekend", holiday: null };
+
+  const open = ranges.some(([o, c]) => t.minutes >= o && t.minutes < c);
+  return { open, reason: open ? "open" : "closed", holiday };
+}
+
+// First time (5 min grid) after `date` where the open/closed status flips, or null
+function nextChange(session, date, currentlyOpen) {
+  if (session.alwaysOpen) return null;
+  const stepMs = STEP_MIN * 60_000;
+  let t = Math.floor(date.getTime() / stepMs) * stepMs + stepMs;
+  const end = date.getTime() + SEARCH_DAYS * 86_400_000;
+
+  for (; t <= end; t += stepMs) {
+    if (statusAt(session, new Date(t)).open !== currentlyOpen) return new Date(t);
+  }
+  return null;
+}
+
+// Full status of a session profile (GET /assets/:id/session)
+function getSessionStatus(sessionId, date = new Date()) {
+  const session = getConfig().sessions[sessionId];
+  if (!session) throw new Error(`Unknown session "${sessionId}"`);
+
+  const s = statusAt(session, date);
+  const change = nextChange(session, date, s.open);
+
+  return {
+    session: sessionId,
+    timezone: session.timezone,
+    open: s.open,
+    reason: s.reason,
+    holiday: s.holiday ? { date: s.holiday.date, name: s.holiday.name } : null,
+    nextOpen: !s.open && change ? change.toISOString() : null,
+    nextClose: s.open && change ? change.toISOString() : null,
+    at: date.toISOString(),
+  };
+}
+
+// Cheap check for the executors' hot path. Unknown profile => treated as open (logged by caller).
+function isSessionOpen(sessionId, date = new Date()) {
+  const session = getConfig().sessions[sessionId];
+  if (!session) return true;
+  return statusAt(session, date).open;
+}
+
+function hasSession(sessionId) {
+  return Boolean(getConfig().sessions[sessionId]);
+}
+
+module.exports = {
+  loadSessions,
+  getSessionStatus,
+  isSessionOpen,
+  hasSession,
+};
@@ -0,0 +1,92 @@
+// services/sortedLevels.js
+// One side of the in-memory order book (services/orderBook.js): levels sorted by (price, id).
+// Skip list: insert / remove / lookup in O(log n) expected, range reads walk the bottom
+// list (O(log n + matches)). No array shifting, so a big book stays cheap to update.
+
+const MAX_LEVEL = 32;
+const P = 0.25; // chance to promote a node one level up (~1.33 pointers per node)
+
+function less(price, id, node) {
+  return node.price < price || (node.price === price && node.id < id);
+}
+
+function randomLevel() {
+  let level = 1;
+  while (level < MAX_LEVEL && Math.random() < P) level++;
+  return level;
+}
+
+class SortedLevels {
+  constructor() {
+    this.head = { price: -Infinity, id: -Infinity, next: new Array(MAX_LEVEL).fill(null) };
+    this.level = 1;
+    this.count = 0;
+  }
+
+  // per level, the last node before (price, id); update[0].next[0] is the first node >= it
+  _path(price, id) {
+    const update = new Array(MAX_LEVEL);
+    let x = this.head;
+    for (let i = this.level - 1; i >= 0; i--) {
+      while (x.next[i] && less(price, id, x.next[i])) x = x.next[i];
+      update[i] = x;
+    }
+    return update;
+  }
+
+  // first node >= (price, id), null past the end
+  _lowerBound(price, id) {
+    let x = this.head;
+    for (let i = this.level - 1; i >= 0; i--) {
+      while (x.next[i] && less(price, id, x.next[i])) x = x.next[i];
+    }
+    return x.next[0];
+  }
+
+  insert(price, id) {
+    const update = this._path(price, id);
+    const found = update[0].next[0];
+    if (found && found.price === price && found.id === id) return;
+
+    const level = randomLevel();
+    for (let i = this.level; i < level; i++) update[i] = this.head;
+    if (level > this.level) this.level = level;
+
+    const node = { price, id, next: new Array(level) };
+    for (let i = 0; i < level; i++) {
+      node.next[i] = update[i].next[i];
+      update[i].next[i] = node;
+    }
+    this.count++;
+  }
+
+  remove(price, id) {
+    const update = this._path(price, id);
+    const node = update[0].next[0];
+    if (!node || node.price !== price || node.id !== id) return;
+
+    for (let i = 0; i < node.next.length; i++) update[i].next[i] = node.next[i];
+    while (this.level > 1 && !this.head.next[this.level - 1]) this.level--;
+    this.count--;
+  }
+
+  // ids with price <= market
+  atOrBelow(market) {
+    const out = [];
+    for (let x = this.head.next[0]; x && x.price <= market; x = x.next[0]) out.push(x.id);
+    return out;
+  }
+
+  // ids with price >= market
+  atOrAbove(market) {
+    const out = [];
+    for (let x = this._lowerBound(market, -Infinity); x; x = x.next[0]) out.push(x.id);
+    return out;
+  }
+
+  get size() {
+    return this.count;
+  }
+}
+
+module.exports = { SortedLevels };
@@ -0,0 +1,826 @@
+// services/syncEngine.js
+// Sync engine: re-reads trades from CORE / PAYMASTER and writes them through the write server
+// (scope "sync"). Used in-process by the listener, the executors and cron/sync.cron.js;
+// sync.js is its CLI.
+//
+// - syncFull(ids)   : getTradesFromList + batchUpsert
+// - syncSLTP(ids)   : getSLTPFromList + batchPatchSLTP (missing rows => full)
+// - syncStates(ids) : getTradeStatesFromList, any state change => full
+// These go through one shared queue: ids requested while a run is waiting are coalesced
+// (one read per id, the widest path wins: full covers sltp and states), and each call resolves
+// with the totals of the run that covered it. Runs are serial, each one pinned to the latest
+// block at its start; an id requested while a run is reading it waits for the next one.
+//
+// - syncEvents({ fromBlock, toBlock }) : replay CORE TradeEvent logs from the events cursor
+//   (see sync.js for the events / reorg details)
+// - checkReorgs() : finalize / roll back unconfirmed rows against the canonical chain
+//
+// One provider, one read-only DB handle (opened on first use) per engine.
+
+const Database = require("better-sqlite3");
+const pLimit = require("p-limit");
+const { signRequest, clientCredentialsFromEnv } = require("../write.auth");
+const { decodeTradeEventCode, mergeSyncPath } = require("./tradeEventCodes");
+
+// --------------------
+// CONFIG (config.js at the repo root)
+// --------------------
+// module.exports = {
+//   RPC_URL: "https://...",
+//   CORE_ADDRESS: "0x...",
+//   PAYMASTER_ADDRESS: "0x...", // the contract that has getTradesFromList/getSLTPFromList/getStatesFromList
+//   DB_PATH: "trades.db",
+//   WRITE_BASE: "http://127.0.0.1:3001"
+// };
+const cfg = require("../config");
+
+const ethersPkg = require("ethers");
+const ethers = ethersPkg.ethers ?? ethersPkg; // v6 -> ethersPkg.ethers, v5 -> ethersPkg
+
+// --------------------
+// Tunables
+// --------------------
+const BATCH_SIZE = 50;
+const RPC_CONCURRENCY = 20;
+const HTTP_TIMEOUT_MS = 30_000;
+// eth_getLogs window (blocks), halved on provider "range too large" errors
+const LOG_WINDOW = Number(process.env.SYNC_LOG_WINDOW || cfg.SYNC_LOG_WINDOW || 2000);
+const EVENTS_CURSOR = "core.TradeEvent";
+// blocks behind head before a row / the events cursor is considered final
+const CONFIRMATIONS = Number(process.env.SYNC_CONFIRMATIONS ?? cfg.SYNC_CONFIRMATIONS ?? 12);
+
+// --------------------
+// Minimal ABIs
+// --------------------
+const CORE_ABI = [
+  {
+    inputs: [],
+    name: "nextTradeID",
+    outputs: [{ internalType: "uint256", name: "", type: "uint256" }],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      { indexed: false, internalType: "uint256", name: "tradeId", type: "uint256" },
+      { indexed: false, internalType: "uint8", name: "code", type: "uint8" },
+    ],
+    name: "TradeEvent",
+    type: "event",
+  },
+];
+
+const PAYMASTER_ABI = [
+  // getTradesFromList(uint256[])
+  {
+    inputs: [{ internalType: "uint256[]", name: "tradeIds", type: "uint256[]" }],
+    name: "getTradesFromList",
+    outputs: [
+      {
+        components: [
+          { internalType: "address", name: "trader", type: "address" },
+          { internalType: "uint32", name: "assetId", type: "uint32" },
+          { internalType: "bool", name: "isLong", type: "bool" },
+          { internalType: "bool", name: "isLimit", type: "bool" },
+          { internalType: "uint8", name: "leverage", type: "uint8" },
+          { internalType: "uint48", name: "openPrice", type: "uint48" },
+          { internalType: "uint8", name: "state", type: "uint8" },
+          { internalType: "uint32", name: "openTimestamp", type: "uint32" },
+          { internalType: "uint128", name: "fundingIndex", type: "uint128" },
+          { internalType: "uint48", name: "closePrice", type: "uint48" },
+          { internalType: "int32", name: "lotSize", type: "int32" },
+          { internalType: "int32", name: "closedLotSize", type: "int32" },
+          { internalType: "uint48", name: "stopLoss", type: "uint48" },
+          { internalType: "uint48", name: "takeProfit", type: "uint48" },
+          { internalType: "uint64", name: "lpLockedCapital", type: "uint64" },
+          { internalType: "uint64", name: "marginUsdc", type: "uint64" },
+        ],
+        internalType: "struct IBrokexCore.Trade[]",
+        name: "fetchedTrades",
+        type: "tuple[]",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+
+  // getSLTPFromList(uint256[]) returns (uint48[], uint48[])
+  {
+    inputs: [{ internalType: "uint256[]", name: "tradeIds", type: "uint256[]" }],
+    name: "getSLTPFromList",
+    outputs: [
+      { internalType: "uint48[]", name: "stopLosses", type: "uint48[]" },
+      { internalType: "uint48[]", name: "takeProfits", type: "uint48[]" },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+
+  // getStatesFromList(uint256[]) returns (uint8[])
+  // ⚠️ Ajuste si ton ABI exact est différent (nom / outputs)
+  {
+    inputs: [{ internalType: "uint256[]", name: "tradeIds", type: "uint256[]" }],
+    name: "getTradeStatesFromList",
+    outputs: [{ internalType: "uint8[]", name: "states", type: "uint8[]" }],
+    stateMutability: "view",
+    type: "function",
+    },
+];
+
+// --------------------
+// Helpers
+// --------------------
+function chunk(arr, size) {
+  const res = [];
+  for (let i = 0; i < arr.length; i += size) res.push(arr.slice(i, i + size));
+  return res;
+}
+
+function toIntSafeBN(x) {
+  // ethers v6 returns BigInt
+  if (typeof x === "bigint") return x;
+  // v5 returns BigNumber
+  if (x && typeof x.toString === "function") return BigInt(x.toString());
+  return BigInt(x);
+}
+
+function normalizeAddr(a) {
+  return String(a).toLowerCase();
+}
+
+// credentials: { keyId, secret } of a write server key with the "sync" scope
+async function httpJson(url, { method = "GET", body = null, credentials } = {}) {
+  const ctrl = new AbortController();
+  const t = setTimeout(() => ctrl.abort(), HTTP_TIMEOUT_MS);
+  try {
+    const payload = body ? JSON.stringify(body) : "";
+    const u = new URL(url);
+    const auth = signRequest({ ...credentials, method, path: u.pathname + u.search, body: payload });
+
+    const res = await fetch(url, {
+      method,
+      headers: body ? { "Content-Type": "application/json", ...auth } : auth,
+      body: body ? payload : undefined,
+      signal: ctrl.signal,
+    });
+    const txt = await res.text();
+    let data = null;
+    try {
+      data = txt ? JSON.parse(txt) : null;
+    } catch {
+      data = { raw: txt };
+    }
+    if (!res.ok) {
+      const msg = data?.error || data?.raw || `HTTP ${res.status}`;
+      const e = new Error(msg);
+      e.status = res.status;
+      throw e;
+    }
+    return data;
+  } finally {
+    clearTimeout(t);
+  }
+}
+
+// --------------------
+// DB read-only access (fast existence + compare)
+// --------------------
+function openDbReadOnly(path = cfg.DB_PATH || "trades.db") {
+  // read-only prevents accidental writes and reduces lock issues
+  return new Database(path, { readonly: true, fileMustExist: true });
+}
+
+function buildDbReaders(dbRO) {
+  const getRow = dbRO.prepare(`SELECT id, state, stopLoss, takeProfit FROM trades WHERE id = ?;`);
+  const exists = dbRO.prepare(`SELECT 1 FROM trades WHERE id = ?;`);
+
+  return {
+    getRow: (id) => getRow.get(id),
+    exists: (id) => !!exists.get(id),
+  };
+}
+
+// --------------------
+// Mapping onchain trade -> DB payload (E6 already onchain for your case)
+// --------------------
+// at = { number, hash }: block the values were read at
+function stampOf(at) {
+  return { syncBlock: at.number, syncBlockHash: at.hash };
+}
+
+function tradeToPayload(id, t, at) {
+  return {
+    id: Number(id),
+    trader: normalizeAddr(t.trader),
+    assetId: Number(t.assetId),
+    isLong: t.isLong ? 1 : 0,
+    isLimit: t.isLimit ? 1 : 0,
+    leverage: t.leverage === undefined || t.leverage === null ? null : Number(t.leverage),
+
+    openPrice: t.openPrice === undefined || t.openPrice === null ? null : Number(t.openPrice),
+    state: Number(t.state),
+    openTimestamp: t.openTimestamp === undefined || t.openTimestamp === null ? null : Number(t.openTimestamp),
+    fundingIndex: t.fundingIndex === undefined || t.fundingIndex === null ? null : String(t.fundingIndex),
+
+    closePrice: t.closePrice ? Number(t.closePrice) : 0,
+    lotSize: t.lotSize === undefined || t.lotSize === null ? null : Number(t.lotSize),
+    closedLotSize: t.closedLotSize ? Number(t.closedLotSize) : 0,
+
+    stopLoss: t.stopLoss ? Number(t.stopLoss) : 0,
+    takeProfit: t.takeProfit ? Number(t.takeProfit) : 0,
+
+    lpLockedCapital: t.lpLockedCapital === undefined || t.lpLockedCapital === null ? null : String(t.lpLockedCapital),
+    marginUsdc: t.marginUsdc === undefined || t.marginUsdc === null ? null : String(t.marginUsdc),
+    ...stampOf(at),
+  };
+}
+
+// --------------------
+// Core sync actions
+// --------------------
+async function fullBatch({ paymaster, ids, writeJson, at }) {
+  if (ids.length === 0) return { upserted: 0 };
+
+  const trades = await paymaster.getTradesFromList(ids, { blockTag: at.number });
+  // returns tuple[] in ethers: array of structs
+  const payloads = ids.map((id, i) => tradeToPayload(id, trades[i], at));
+
+  // Use batchUpsert (fast)
+  const r = await writeJson("/trades/batchUpsert", {
+    method: "POST",
+    body: { trades: payloads },
+  });
+
+  return { upserted: r.upserted ?? payloads.length };
+}
+
+async function sltpBatch({ paymaster, ids, writeJson, dbReaders, maxExistingId, at }) {
+  // If missing in DB but exists onchain => full fetch
+  const missing = [];
+  const present = [];
+
+  for (const id of ids) {
+    if (id > maxExistingId) continue;
+    if (!dbReaders.exists(id)) missing.push(id);
+    else present.push(id);
+  }
+
+  let upsertedMissing = 0;
+  if (missing.length) {
+    const r = await fullBatch({ paymaster, ids: missing, writeJson, at });
+    upsertedMissing += r.upserted;
+  }
+
+  if (!present.length) return { patched: 0, upsertedMissing };
+
+  const [sls, tps] = await paymaster.getSLTPFromList(present, { blockTag: at.number });
+
+  const patches = [];
+  for (let i = 0; i < present.length; i++) {
+    const id = present[i];
+    const sl = Number(sls[i] ?? 0);
+    const tp = Number(tps[i] ?? 0);
+
+    const row = dbReaders.getRow(id);
+    if (!row) {
+      // Rare race: became missing; schedule full
+      missing.push(id);
+      continue;
+    }
+
+    const prevSL = Number(row.stopLoss ?? 0);
+    const prevTP = Number(row.takeProfit ?? 0);
+
+    if (sl !== prevSL || tp !== prevTP) {
+      patches.push({ id, stopLoss: sl, takeProfit: tp, ...stampOf(at) });
+    }
+  }
+
+  let patched = 0;
+  if (patches.length) {
+    const r = await writeJson("/trades/batchPatchSLTP", {
+      method: "POST",
+      body: { patches },
+    });
+    patched = r.updated ?? 0;
+  }
+
+  return { patched, upsertedMissing };
+}
+
+async function statesBatch({ paymaster, ids, writeJson, dbReaders, maxExistingId, at }) {
+  // If missing in DB but exists onchain => full fetch
+  const missing = [];
+  const present = [];
+
+  for (const id of ids) {
+    if (id > maxExistingId) continue;
+    if (!dbReaders.exists(id)) missing.push(id);
+    else present.push(id);
+  }
+
+  let upsertedMissing = 0;
+  if (missing.length) {
+    const r = await fullBatch({ paymaster, ids: missing, writeJson, at });
+    upsertedMissing += r.upserted;
+  }
+
+  if (!present.length) return { upsertedMissing, fullForClosed: 0 };
+
+  const states = await paymaster.getTradeStatesFromList(present, { blockTag: at.number });
+
+  const needFull = [];
+
+  for (let i = 0; i < present.length; i++) {
+    const id = present[i];
+    const newState = Number(states[i]);
+
+    const row = dbReaders.getRow(id);
+    if (!row) {
+      // Rare race: became missing
+      needFull.push(id);
+      continue;
+    }
+
+    const prevState = Number(row.state);
+
+    if (newState !== prevState) {
+      // Any state change triggers a full sync now
+      needFull.push(id);
+    }
+  }
+
+  let fullForClosed = 0;
+  if (needFull.length) {
+    const r = await fullBatch({ paymaster, ids: needFull, writeJson, at });
+    fullForClosed = r.upserted;
+  }
+
+  return { upsertedMissing, fullForClosed };
+}
+
+// TradeEvent log => /trades/lifecycle item (+ the sync path its code needs)
+function decodeTradeLog(iface, log) {
+  const { tradeId, code } = iface.parseLog(log).args;
+  const decoded = decodeTradeEventCode(code);
+  return {
+    tradeId: Number(toIntSafeBN(tradeId)),
+    code: decoded.code,
+    sync: decoded.sync,
+    blockNumber: Number(log.blockNumber),
+    blockHash: String(log.blockHash).toLowerCase(),
+    txHash: String(log.transactionHash).toLowerCase(),
+    logIndex: Number(log.logIndex ?? log.index),
+  };
+}
+
+// Incremental: TradeEvent logs in [fromBlock..toBlock], window by window. Ids seen in a window
+// are re-read (state at `at`) along the path their codes need (full while the code table is
+// unconfirmed, see services/tradeEventCodes.js), and the logs recorded, before the cursor moves past it: a crash replays at most one window.
+// The cursor stops at safeBlock (head - confirmations).
+async function eventsPass({ provider, core, paymaster, writeJson, dbReaders, maxExistingId, fromBlock, toBlock, cursorBlock, safeBlock, at }) {
+  const topic = core.interface.getEventTopic
+    ? core.interface.getEventTopic("TradeEvent")       // ethers v5
+    : core.interface.getEvent("TradeEvent").topicHash; // ethers v6
+
+  const limit = pLimit(RPC_CONCURRENCY);
+  let window = LOG_WINDOW;
+  let from = fromBlock;
+  const totals = { windows: 0, logs: 0, ids: 0, upserted: 0, patched: 0, recorded: 0 };
+
+  while (from <= toBlock) {
+    const to = Math.min(toBlock, from + window - 1);
+
+    let logs;
+    try {
+      logs = await provider.getLogs({ address: core.address ?? core.target, topics: [topic], fromBlock: from, toBlock: to });
+    } catch (e) {
+      if (window === 1) throw e;
+      window = Math.max(1, Math.floor(window / 2));
+      console.warn(`[events] getLogs ${from}..${to} failed (${e.error?.message || e.code || e.message}), window => ${window}`);
+      continue;
+    }
+
+    const events = logs.map((l) => decodeTradeLog(core.interface, l));
+    const paths = new Map(); // tradeId -> "sltp" | "full"
+    for (const e of events) paths.set(e.tradeId, mergeSyncPath(paths.get(e.tradeId), e.sync));
+
+    const ids = [...paths.keys()];
+    const fullIds = ids.filter((id) => paths.get(id) === "full");
+    const sltpIds = ids.filter((id) => paths.get(id) === "sltp");
+    await Promise.all([
+      ...chunk(fullIds, BATCH_SIZE).map((b) => limit(async () => {
+        const r = await fullBatch({ paymaster, ids: b, writeJson, at });
+        totals.upserted += r.upserted;
+      })),
+      ...chunk(sltpIds, BATCH_SIZE).map((b) => limit(async () => {
+        const r = await sltpBatch({ paymaster, ids: b, writeJson, dbReaders, maxExistingId, at });
+        totals.patched += r.patched;
+        totals.upserted += r.upsertedMissing;
+      })),
+    ]);
+
+    for (const b of chunk(events.map(({ sync, ...e }) => e), 5000)) {
+      const r = await writeJson("/trades/lifecycle", { method: "POST", body: { events: b } });
+      totals.recorded += r.inserted ?? 0;
+    }
+
+    // never move the cursor backwards (manual replays of an old range) nor into unconfirmed blocks
+    const done = Math.min(to, safeBlock);
+    if (cursorBlock === null || done > cursorBlock) {
+      await writeJson(`/sync/cursor/${EVENTS_CURSOR}`, { method: "PUT", body: { block: done } });
+      cursorBlock = done;
+    }
+
+    totals.windows++;
+    totals.logs += logs.length;
+    totals.ids += ids.length;
+    if (ids.length || totals.windows % 10 === 0) {
+      console.log(`[events] blocks ${from}..${to}: ${logs.length} logs, ${ids.length} trades (${sltpIds.length} SL/TP only)`);
+    }
+
+    from = to + 1;
+    if (window < LOG_WINDOW) window = Math.min(LOG_WINDOW, window * 2);
+  }
+
+  return totals;
+}
+
+// Reorg check: each (block, hash) that unconfirmed rows were read at is compared with the
+// canonical block at that height.
+// - same hash, at least CONFIRMATIONS deep => rows become final (never checked again)
+// - other hash => the block was orphaned: its rows are re-read at `at` and written back as
+//   source "reorg", trades that no longer exist (id > nextTradeID) are deleted
+async function reorgPass({ provider, paymaster, writeJson, dbRO, at, maxExistingId }) {
+  // blocks trade rows were read at + blocks recorded lifecycle logs come from
+  const stamps = dbRO.prepare(`
+    SELECT number, hash, SUM(trades) AS trades FROM (
+      SELECT syncBlock AS number, syncBlockHash AS hash, COUNT(*) AS trades FROM trades
+      WHERE syncFinal = 0 AND syncBlock IS NOT NULL
+      GROUP BY syncBlock, syncBlockHash
+      UNION ALL
+      SELECT blockNumber, blockHash, 0 FROM trade_lifecycle
+      WHERE final = 0
+      GROUP BY blockNumber, blockHash
+    )
+    GROUP BY number, hash ORDER BY number;
+  `).all();
+  const idsOf = dbRO.prepare(`
+    SELECT id FROM trades WHERE syncFinal = 0 AND syncBlock = ? AND syncBlockHash = ? ORDER BY id;
+  `);
+
+  const limit = pLimit(RPC_CONCURRENCY);
+  const numbers = [...new Set(stamps.map((st) => st.number))].filter((n) => n <= at.number);
+  const canonical = new Map();
+  await Promise.all(numbers.map((n) => limit(async () => {
+    const block = await provider.getBlock(n);
+    if (block) canonical.set(n, block.hash.toLowerCase());
+  })));
+
+  const finalized = [];
+  const orphaned = [];
+  for (const st of stamps) {
+    const hash = canonical.get(st.number);
+    if (!hash) continue; // ahead of our node / not served: next pass
+    if (hash !== st.hash) orphaned.push(st);
+    else if (st.number <= at.number - CONFIRMATIONS) finalized.push(st);
+  }
+
+  const totals = { stamps: stamps.length, finalized: 0, orphaned: orphaned.length, resynced: 0, deleted: 0, lifecycleDeleted: 0 };
+
+  for (const b of chunk(finalized.map(({ number, hash }) => ({ number, hash })), 1000)) {
+    const r = await writeJson("/sync/finalize", { method: "POST", body: { blocks: b } });
+    totals.finalized += r.finalized ?? 0;
+  }
+
+  if (!orphaned.length) return totals;
+
+  for (const st of orphaned) {
+    console.warn(`[reorg] block #${st.number} ${st.hash} orphaned (canonical ${canonical.get(st.number)}), ${st.trades} trade(s)`);
+  }
+
+  for (const group of chunk(orphaned, 1000)) {
+    const blocks = group.map(({ number, hash }) => ({ number, hash }));
+    const ids = [...new Set(group.flatMap((st) => idsOf.all(st.number, st.hash).map((r) => r.id)))];
+    const live = ids.filter((id) => id <= maxExistingId);
+    const gone = ids.filter((id) => id > maxExistingId);
+
+    await Promise.all(chunk(live, BATCH_SIZE).map((b) => limit(async () => {
+      const trades = await paymaster.getTradesFromList(b, { blockTag: at.number });
+      const payloads = b.map((id, i) => tradeToPayload(id, trades[i], at));
+      const r = await writeJson("/sync/reorg", {
+        method: "POST",
+        body: { orphaned: blocks, trades: payloads },
+      });
+      totals.resynced += r.upserted ?? 0;
+      totals.lifecycleDeleted += r.lifecycleDeleted ?? 0;
+    })));
+
+    // blocks with only lifecycle rows still need one call (their logs are dropped)
+    const goneChunks = gone.length || live.length ? chunk(gone, 1000) : [[]];
+    for (const b of goneChunks) {
+      const r = await writeJson("/sync/reorg", {
+        method: "POST",
+        body: { orphaned: blocks, deleteIds: b },
+      });
+      totals.deleted += r.deleted ?? 0;
+      totals.lifecycleDeleted += r.lifecycleDeleted ?? 0;
+    }
+  }
+
+  // events logged in orphaned blocks below the cursor were never re-scanned: rewind
+  // (only happens when the reorg was deeper than the confirmation depth)
+  const { cursor } = await writeJson(`/sync/cursor/${EVENTS_CURSOR}`);
+  const lowest = orphaned[0].number;
+  if (cursor && cursor.block >= lowest) {
+    console.warn(`[reorg] deeper than ${CONFIRMATIONS} confirmations: events cursor ${cursor.block} => ${lowest - 1}`);
+    await writeJson(`/sync/cursor/${EVENTS_CURSOR}`, { method: "PUT", body: { block: lowest - 1 } });
+  }
+
+  return totals;
+}
+
+// Optional helper: scan a range [start..end] and return ids missing in DB
+function computeMissingIds(dbReaders, start, end) {
+  const missing = [];
+  for (let id = start; id <= end; id++) {
+    if (!dbReaders.exists(id)) missing.push(id);
+  }
+  return missing;
+}
+
+
+// --------------------
+// Engine
+// --------------------
+// wait before a queued run starts, so ids requested close together share it
+const QUEUE_FLUSH_MS = Number(process.env.SYNC_QUEUE_FLUSH_MS || 200);
+
+function createProvider(rpcUrl) {
+  return ethers.JsonRpcProvider
+    ? new ethers.JsonRpcProvider(rpcUrl)               // ethers v6
+    : new ethers.providers.JsonRpcProvider(rpcUrl);    // ethers v5
+}
+
+function createSyncEngine({
+  provider = createProvider(cfg.RPC_URL),
+  writeBase = cfg.WRITE_BASE_URL || cfg.WRITE_BASE || "http://127.0.0.1:7001",
+  dbPath = cfg.DB_PATH || "trades.db",
+  flushMs = QUEUE_FLUSH_MS,
+  // key with the "sync" scope (WRITE_API_KEY_ID / WRITE_API_SECRET by default)
+  credentials = clientCredentialsFromEnv(),
+  // in-process callers pass the address they execute against (executor: CORE_ADDRESS from .env)
+  coreAddress = cfg.CORE_ADDRESS,
+  paymasterAddress = cfg.PAYMASTER_ADDRESS,
+} = {}) {
+  const writeJson = (pathname, opts) => httpJson(`${writeBase}${pathname}`, { ...opts, credentials });
+  const core = new ethers.Contract(coreAddress, CORE_ABI, provider);
+  const paymaster = new ethers.Contract(paymasterAddress, PAYMASTER_ABI, provider);
+
+  // opened on first use: the write server may not have created the file yet
+  let dbRO = null;
+  let dbReaders = null;
+
+  function db() {
+    if (!dbRO) {
+      dbRO = openDbReadOnly(dbPath);
+      dbReaders = buildDbReaders(dbRO);
+    }
+    return dbRO;
+  }
+
+  function readers() {
+    db();
+    return dbReaders;
+  }
+
+  // every read of a run / pass is pinned to one block, written rows are stamped with it
+  async function head() {
+    const latest = await provider.getBlock("latest");
+    const at = { number: Number(latest.number), hash: latest.hash.toLowerCase() };
+    const nextId = toIntSafeBN(await core.nextTradeID({ blockTag: at.number }));
+    return { at, maxExistingId: Number(nextId) }; // last existing tradeId (0 if none)
+  }
+
+  // ---- shared queue
+  const stats = { runs: 0, failedRuns: 0, requested: 0, coalesced: 0, lastRun: null };
+  let pending = newRun();
+  let timer = null;
+  let running = false;
+
+  function newRun() {
+    return { full: new Set(), states: new Set(), sltp: new Set(), waiters: [] };
+  }
+
+  function runSize(run) {
+    return run.full.size + run.states.size + run.sltp.size;
+  }
+
+  // full covers the narrower paths; states and sltp on the same id are both kept
+  function add(run, syncPath, id) {
+    stats.requested++;
+    if (run.full.has(id) || run[syncPath].has(id)) {
+      stats.coalesced++;
+      return;
+    }
+    if (syncPath === "full" && (run.states.has(id) || run.sltp.has(id))) {
+      run.states.delete(id);
+      run.sltp.delete(id);
+      stats.coalesced++;
+    }
+    run[syncPath].add(id);
+  }
+
+  function enqueue(syncPath, ids) {
+    const run = pending;
+    for (const raw of ids) {
+      const id = Number(raw);
+      if (Number.isInteger(id) && id >= 1) add(run, syncPath, id);
+    }
+    const done = new Promise((resolve, reject) => run.waiters.push({ resolve, reject }));
+    scheduleFlush();
+    return done;
+  }
+
+  function scheduleFlush() {
+    if (timer || running) return;
+    timer = setTimeout(drain, flushMs);
+  }
+
+  async function drain() {
+    timer = null;
+    running = true;
+    try {
+      // ids queued while a run was in flight go in the next one, right after it
+      while (pending.waiters.length) {
+        const run = pending;
+        pending = newRun();
+        await execute(run);
+      }
+    } finally {
+      running = false;
+    }
+  }
+
+  async function execute(run) {
+    const startedAt = Date.now();
+    try {
+      const totals = await runIds(run);
+      stats.runs++;
+      stats.lastRun = { at: startedAt, ms: Date.now() - startedAt, callers: run.waiters.length, ...totals };
+      for (const w of run.waiters) w.resolve(totals);
+    } catch (e) {
+      stats.failedRuns++;
+      stats.lastRun = { at: startedAt, ms: Date.now() - startedAt, callers: run.waiters.length, error: e.message };
+      console.error(`[sync] run failed (${runSize(run)} ids):`, e.message);
+      for (const w of run.waiters) w.reject(e);
+    }
+  }
+
+  async function runIds(run) {
+    const totals = {
+      block: null,
+      maxExistingId: null,
+      full: run.full.size,
+      states: run.states.size,
+      sltp: run.sltp.size,
+      upserted: 0,
+      patched: 0,
+      upsertedMissing: 0,
+      fullForClosed: 0,
+    };
+    if (!runSize(run)) return totals;
+
+    const { at, maxExistingId } = await head();
+    totals.block = at.number;
+    totals.maxExistingId = maxExistingId;
+    if (maxExistingId === 0) {
+      console.log("[sync] no trades onchain yet (nextTradeID=0), nothing to sync");
+      return totals;
+    }
+
+    // In your Core, tradeIds start at 1 (because ++nextTradeID)
+    const live = (set) => [...set].filter((id) => id <= maxExistingId).sort((a, b) => a - b);
+    const dbReaders = readers();
+    const batches = [
+      ...chunk(live(run.full), BATCH_SIZE).map((ids) => ["full", ids]),
+      ...chunk(live(run.states), BATCH_SIZE).map((ids) => ["states", ids]),
+      ...chunk(live(run.sltp), BATCH_SIZE).map((ids) => ["sltp", ids]),
+    ];
+
+    // Batch + concurrency limit for RPC calls
+    const limit = pLimit(RPC_CONCURRENCY);
+    let done = 0;
+
+    const results = await Promise.allSettled(batches.map(([syncPath, ids]) =>
+      limit(async () => {
+        if (syncPath === "full") {
+          const r = await fullBatch({ paymaster, ids, writeJson, at });
+          totals.upserted += r.upserted;
+        } else if (syncPath === "sltp") {
+          const r = await sltpBatch({ paymaster, ids, writeJson, dbReaders, maxExistingId, at });
+          totals.patched += r.patched;
+          totals.upsertedMissing += r.upsertedMissing;
+        } else {
+          const r = await statesBatch({ paymaster, ids, writeJson, dbReaders, maxExistingId, at });
+          totals.upsertedMissing += r.upsertedMissing;
+          totals.fullForClosed += r.fullForClosed;
+        }
+
+        done++;
+        if (done % 10 === 0 || done === batches.length) {
+          console.log(`[sync] batches ${done}/${batches.length} done (block #${at.number})`);
+        }
+      })
+    ));
+
+    // every batch gets its chance, the first failure fails the run
+    const failed = results.find((r) => r.status === "rejected");
+    if (failed) throw failed.reason;
+    return totals;
+  }
+
+  // ---- passes (not queued: they pin their own block)
+  async function syncEvents({ fromBlock = null, toBlock = null } = {}) {
+    const { at, maxExistingId } = await head();
+    if (maxExistingId === 0) {
+      console.log("[events] no trades onchain yet (nextTradeID=0), nothing to sync");
+      return { skipped: "noTrades" };
+    }
+
+    const safeBlock = Math.max(0, at.number - CONFIRMATIONS);
+
+    const reorgs = await reorgPass({ provider, paymaster, writeJson, dbRO: db(), at, maxExistingId });
+    if (reorgs.orphaned) console.log("[events] reorg check:", reorgs);
+
+    const { cursor } = await writeJson(`/sync/cursor/${EVENTS_CURSOR}`);
+    const cursorBlock = cursor ? cursor.block : null;
+
+    if (fromBlock === null) {
+      if (cursorBlock === null) {
+        // first run: older trades are the full scan's job (cron), start tracking from the head
+        await writeJson(`/sync/cursor/${EVENTS_CURSOR}`, { method: "PUT", body: { block: safeBlock } });
+        console.log(`[events] no cursor yet => initialized at #${safeBlock} (head - ${CONFIRMATIONS}; run a full --range scan for older trades)`);
+        return { skipped: "cursorInitialized", safeBlock, finalized: reorgs.finalized };
+      }
+      fromBlock = cursorBlock + 1;
+    }
+    toBlock = toBlock === null ? at.number : Math.min(toBlock, at.number);
+
+    if (!Number.isInteger(fromBlock) || fromBlock < 0 || fromBlock > toBlock) {
+      console.log(`[events] nothing to do (from=${fromBlock} to=${toBlock} cursor=${cursorBlock})`);
+      return { skipped: "upToDate", fromBlock, toBlock, safeBlock, finalized: reorgs.finalized };
+    }
+
+    const totals = await eventsPass({
+      provider, core, paymaster, writeJson, dbReaders: readers(), maxExistingId,
+      fromBlock, toBlock, cursorBlock, safeBlock, at,
+    });
+    return { fromBlock, toBlock, safeBlock, ...totals, finalized: reorgs.finalized };
+  }
+
+  // runs even with no trades onchain: a reorg can remove the only trades there were
+  async function checkReorgs() {
+    const { at, maxExistingId } = await head();
+    const totals = await reorgPass({ provider, paymaster, writeJson, dbRO: db(), at, maxExistingId });
+    return { block: at.number, confirmations: CONFIRMATIONS, ...totals };
+  }
+
+  // last existing tradeId onchain (0 if none)
+  async function latestTradeId() {
+    return (await head()).maxExistingId;
+  }
+
+  // ids in [start..end] (capped at nextTradeID) that have no row yet
+  async function missingIds(start, end) {
+    const { maxExistingId } = await head();
+    const realStart = Math.max(1, start); // never scan 0
+    const realEnd = Math.min(end, maxExistingId);
+    return { start: realStart, end: realEnd, ids: computeMissingIds(readers(), realStart, realEnd) };
+  }
+
+  function getStats() {
+    return { ...stats, queued: runSize(pending), running };
+  }
+
+  function close() {
+    if (dbRO) dbRO.close();
+    dbRO = null;
+    dbReaders = null;
+  }
+
+  return {
+    syncFull: (ids) => enqueue("full", ids),
+    syncStates: (ids) => enqueue("states", ids),
+    syncSLTP: (ids) => enqueue("sltp", ids),
+    syncEvents,
+    checkReorgs,
+    latestTradeId,
+    missingIds,
+    stats: getStats,
+    close,
+  };
+}
+
+module.exports = { createSyncEngine };
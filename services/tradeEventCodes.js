@@ -0,0 +1,47 @@
+// services/tradeEventCodes.js
+// CORE emits TradeEvent(tradeId, code): `code` says what happened to the trade.
+// Keep this table in sync with the codes emitted by the CORE contract.
+//
+// sync = what has to be re-read for the trade:
+// - "sltp": stop loss / take profit only (getSLTPFromList, sync.js --mode sltp)
+// - "full": the whole struct (getTradesFromList, sync.js --mode full)
+// Unknown codes decode as "unknown" and take the full path, never less.
+//
+// ⚠️ Not confirmed against the CORE source: the code => type table below is our reading of
+// the contract, nothing in this repo (ABI included) defines it. Until CODES_CONFIRMED is set:
+// - every code takes the full path (a misread code costs one wider read, never a stale `state`)
+// - decoded events carry type "unknown": only the raw `code` is stored / published as fact,
+//   the table name is a `hint` for logs
+const CODES_CONFIRMED = false;
+
+const TRADE_EVENT_CODES = {
+  0: { type: "orderPlaced", sync: "full" },     // limit / stop entry created (state 0)
+  1: { type: "opened", sync: "full" },          // market open (state 1)
+  2: { type: "executed", sync: "full" },        // pending order filled => position (openPrice, state)
+  3: { type: "sltpUpdated", sync: "sltp" },     // stop loss / take profit changed
+  4: { type: "partiallyClosed", sync: "full" }, // closedLotSize, margin, lp capital move
+  5: { type: "closed", sync: "full" },          // closePrice, state 2
+  6: { type: "cancelled", sync: "full" },       // pending order cancelled, state 3
+  7: { type: "liquidated", sync: "full" },      // forced close, state 2
+};
+
+const SYNC_PATHS = ["sltp", "full"]; // narrowest first
+
+const EVENT_TYPES = Object.values(TRADE_EVENT_CODES).map((c) => c.type);
+
+// code (number | BigNumber | string) => { code, type, sync, hint }
+function decodeTradeEventCode(code) {
+  const n = Number(code?.toString?.() ?? code);
+  const known = Number.isInteger(n) ? TRADE_EVENT_CODES[n] : undefined;
+  const decoded = { code: Number.isInteger(n) ? n : null, type: "unknown", sync: "full", hint: known?.type ?? null };
+  return known && CODES_CONFIRMED ? { ...decoded, ...known } : decoded;
+}
+
+// Several events for one trade in the same batch: the widest path covers the others
+function mergeSyncPath(a, b) {
+  if (!a) return b;
+  if (!b) return a;
+  return SYNC_PATHS.indexOf(a) >= SYNC_PATHS.indexOf(b) ? a : b;
+}
+
+module.exports = { CODES_CONFIRMED, TRADE_EVENT_CODES, EVENT_TYPES, SYNC_PATHS, decodeTradeEventCode, mergeSyncPath };
@@ -0,0 +1,75 @@
+// services/tradeFeed.js
+// Feed of committed trade inserts/updates/deletes (source: db.js `commits`, i.e. every write
+// that goes through write.routes.js).
+// Each change gets a sequence number and stays in a ring buffer so a reconnecting
+// client can resume with `since` without missing anything.
+
+const { commits } = require("../db");
+
+const BUFFER_SIZE = Number(process.env.TRADE_FEED_BUFFER || 10000);
+
+// seq restarts at 0 with the process: clients send back the epoch they saw in "hello"
+// and get a "resync" if it does not match anymore.
+const epoch = Date.now();
+
+let seq = 0;
+// circular buffer of the last BUFFER_SIZE events { seq, op, source, trade, event? }:
+// seq n sits at slot (n - 1) % BUFFER_SIZE, so resuming needs no search
+const ring = new Array(BUFFER_SIZE);
+const listeners = new Set();
+
+function publish(change) {
+  const evt = { seq: ++seq, op: change.op, source: change.source, trade: change.trade };
+  if (change.event) evt.event = change.event;
+
+  ring[(evt.seq - 1) % BUFFER_SIZE] = evt;
+
+  for (const fn of listeners) {
+    try {
+      fn(evt);
+    } catch (e) {
+      console.error("[TradeFeed] listener error:", e);
+    }
+  }
+}
+
+commits.on("trades", (changes) => {
+  for (const c of changes) publish(c);
+});
+
+// Decoded TradeEvent logs share the sequence (op "lifecycle"): `trade` is the row as stored
+// when the log was recorded, or just { id } when the trade is not synced yet.
+commits.on("lifecycle", (items) => {
+  for (const { event, trade } of items) {
+    publish({ op: "lifecycle", source: "chain", trade: trade || { id: event.tradeId }, event });
+  }
+});
+
+// Live events. Returns an unsubscribe function.
+function subscribe(fn) {
+  listeners.add(fn);
+  return () => listeners.delete(fn);
+}
+
+// Buffered events with seq > since.
+// complete=false means some of them already left the buffer (client must resync).
+function getSince(since) {
+  const buffered = Math.min(seq, BUFFER_SIZE);
+  const oldest = seq - buffered + 1;
+  const complete = since >= oldest - 1 && since <= seq;
+
+  const from = Math.max(oldest, Math.floor(since) + 1);
+  const events = [];
+  for (let n = from; n <= seq; n++) events.push(ring[(n - 1) % BUFFER_SIZE]);
+  return { events, complete };
+}
+
+function getFeedInfo() {
+  return { epoch, seq, buffered: Math.min(seq, BUFFER_SIZE) };
+}
+
+module.exports = {
+  subscribe,
+  getSince,
+  getFeedInfo,
+};
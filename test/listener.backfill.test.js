@@ -0,0 +1,64 @@
+// Backfill after a reconnect: a failed backfill must not move coveredBlock, the next
+// connect asks for the same range again.
+
+const test = require("node:test");
+const assert = require("node:assert");
+const { ethers } = require("ethers");
+const { createGapBackfiller, CORE_ABI } = require("../listeners/core.tradeevent.listener");
+
+function fakeProvider(head) {
+  const requests = [];
+  return {
+    requests,
+    failing: false,
+    async getBlockNumber() {
+      return head;
+    },
+    async getLogs({ fromBlock, toBlock }) {
+      requests.push([fromBlock, toBlock]);
+      if (this.failing) throw new Error("rpc down");
+      return [];
+    },
+  };
+}
+
+test("a failed backfill is retried over the same range on the next connect", async () => {
+  const status = { headBlock: 100, coveredBlock: 100, backfilling: false, lastBackfill: null };
+  const provider = fakeProvider(150);
+  const backfillGap = createGapBackfiller({
+    status,
+    iface: new ethers.utils.Interface(CORE_ABI),
+    onLog: () => {},
+  });
+
+  provider.failing = true;
+  await assert.rejects(backfillGap(provider, () => true), /rpc down/);
+  assert.strictEqual(status.coveredBlock, 100);
+  assert.strictEqual(status.headBlock, 150);
+  assert.strictEqual(status.backfilling, false);
+  const firstFrom = provider.requests[0][0];
+
+  provider.failing = false;
+  provider.requests.length = 0;
+  await backfillGap(provider, () => true);
+  assert.deepStrictEqual(provider.requests, [[firstFrom, 150]]);
+  assert.strictEqual(status.coveredBlock, 150);
+  assert.deepStrictEqual(
+    { from: status.lastBackfill.from, to: status.lastBackfill.to, logs: status.lastBackfill.logs },
+    { from: firstFrom, to: 150, logs: 0 }
+  );
+});
+
+test("a replaced socket leaves the covered block alone", async () => {
+  const status = { headBlock: 100, coveredBlock: 100, backfilling: false, lastBackfill: null };
+  const provider = fakeProvider(150);
+  const backfillGap = createGapBackfiller({
+    status,
+    iface: new ethers.utils.Interface(CORE_ABI),
+    onLog: () => {},
+  });
+
+  await backfillGap(provider, () => false);
+  assert.strictEqual(status.coveredBlock, 100);
+  assert.deepStrictEqual(provider.requests, []);
+});
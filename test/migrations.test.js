@@ -0,0 +1,101 @@
+// Schema migrations: v1..v8 from scratch and over a pre-schema_version database,
+// plus the `node db.js --migrate [--dry-run]` CLI.
+
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { execFileSync } = require("child_process");
+const Database = require("better-sqlite3");
+const migrations = require("../migrations");
+
+const DB_JS = path.resolve(__dirname, "../db.js");
+
+function tmpDb(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "migrations-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return path.join(dir, "trades.db");
+}
+
+function dbCli(dbPath, ...args) {
+  return execFileSync(process.execPath, [DB_JS, ...args], {
+    env: { ...process.env, DB_PATH: dbPath },
+    encoding: "utf8",
+  });
+}
+
+function tables(dbPath) {
+  const db = new Database(dbPath, { readonly: true });
+  try {
+    return db.prepare(`SELECT name FROM sqlite_master WHERE type = 'table'`).all().map((r) => r.name);
+  } finally {
+    db.close();
+  }
+}
+
+function appliedVersions(dbPath) {
+  const db = new Database(dbPath, { readonly: true });
+  try {
+    return db.prepare(`SELECT version FROM schema_version ORDER BY version`).all().map((r) => r.version);
+  } finally {
+    db.close();
+  }
+}
+
+test("steps are numbered 1..n without gaps", () => {
+  assert.deepStrictEqual(migrations.map((m) => m.version), migrations.map((_, i) => i + 1));
+  assert.strictEqual(migrations.length, 8);
+});
+
+test("--dry-run lists every pending step and writes nothing", (t) => {
+  const dbPath = tmpDb(t);
+  const out = dbCli(dbPath, "--migrate", "--dry-run");
+
+  for (const m of migrations) assert.match(out, new RegExp(`\\[dry-run\\] would apply v${m.version}: `));
+  assert.deepStrictEqual(appliedVersions(dbPath), []);
+  assert.ok(!tables(dbPath).includes("trades"));
+});
+
+test("--migrate applies v1..v8 once, a second run has nothing to do", (t) => {
+  const dbPath = tmpDb(t);
+  dbCli(dbPath, "--migrate");
+
+  assert.deepStrictEqual(appliedVersions(dbPath), [1, 2, 3, 4, 5, 6, 7, 8]);
+  const names = tables(dbPath);
+  for (const table of ["trades", "trade_events", "exposure_snapshots", "assets", "executions", "sync_cursors", "trade_lifecycle"]) {
+    assert.ok(names.includes(table), `missing table ${table}`);
+  }
+
+  assert.match(dbCli(dbPath, "--migrate"), /Up to date, nothing to migrate\./);
+  assert.match(dbCli(dbPath, "--migrate", "--dry-run"), /Up to date/);
+});
+
+test("a database created before schema_version rolls forward without losing rows", (t) => {
+  const dbPath = tmpDb(t);
+  const legacy = new Database(dbPath);
+  legacy.exec(migrations[0].up);
+  legacy.exec(migrations[1].up);
+  legacy.prepare(`INSERT INTO trades (id, trader, assetId, isLong, state, stopLoss) VALUES (7, '0xabc', 1, 1, 1, 95)`).run();
+  legacy.prepare(`INSERT INTO trade_events (tradeId, ts, source, state) VALUES (7, 1, 'put', 1)`).run();
+  legacy.close();
+
+  dbCli(dbPath, "--migrate");
+
+  assert.deepStrictEqual(appliedVersions(dbPath), [1, 2, 3, 4, 5, 6, 7, 8]);
+  const db = new Database(dbPath, { readonly: true });
+  t.after(() => db.close());
+  const row = db.prepare(`SELECT * FROM trades WHERE id = 7`).get();
+  assert.strictEqual(row.stopLoss, 95);
+  assert.strictEqual(row.syncFinal, 0); // v7 column, default for old rows
+  assert.strictEqual(row.syncBlock, null);
+  assert.strictEqual(db.prepare(`SELECT COUNT(*) AS n FROM trade_events`).get().n, 1);
+});
+
+test("without --migrate the CLI only reports the pending count", (t) => {
+  const dbPath = tmpDb(t);
+  const out = dbCli(dbPath);
+
+  assert.match(out, /schema v0, 8 pending/);
+  assert.deepStrictEqual(appliedVersions(dbPath), []);
+});
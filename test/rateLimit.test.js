@@ -0,0 +1,111 @@
+// Read API rate limiting: token buckets per (route group, client) and the RateLimit-* headers.
+
+const test = require("node:test");
+const assert = require("node:assert");
+const { createRateLimiter, resolveGroup } = require("../services/rateLimit");
+
+const GROUPS = {
+  match: { capacity: 2, refillPerSec: 1 },
+  stats: { capacity: 3, refillPerSec: 1 },
+  trades: { capacity: 3, refillPerSec: 1 },
+  default: { capacity: 3, refillPerSec: 1 },
+};
+
+function limiter(opts = {}) {
+  return createRateLimiter({ groups: GROUPS, apiKeys: new Map(), allowlist: new Set(), ...opts });
+}
+
+// one request through the middleware => { status, headers, body, passed }
+function hit(rateLimit, { path = "/trades", ip = "203.0.113.7", apiKey } = {}) {
+  const headers = {};
+  const out = { status: 200, headers, body: null, passed: false };
+  const req = { path, ip, get: (name) => (name.toLowerCase() === "x-api-key" ? apiKey : undefined) };
+  const res = {
+    set(k, v) {
+      if (typeof k === "object") Object.assign(headers, k);
+      else headers[k] = v;
+      return res;
+    },
+    status(s) {
+      out.status = s;
+      return res;
+    },
+    json(b) {
+      out.body = b;
+      return res;
+    },
+  };
+  rateLimit(req, res, () => (out.passed = true));
+  return out;
+}
+
+test("routes map to their group, first prefix wins", () => {
+  assert.strictEqual(resolveGroup("/match/entry"), "match");
+  assert.strictEqual(resolveGroup("/exposures/1/history"), "stats");
+  assert.strictEqual(resolveGroup("/stats/max-trade-id"), "stats");
+  assert.strictEqual(resolveGroup("/trades/byIds"), "trades");
+  assert.strictEqual(resolveGroup("/trade/1"), "trades");
+  assert.strictEqual(resolveGroup("/trader/0xabc/ids"), "trades");
+  assert.strictEqual(resolveGroup("/assets"), "default");
+});
+
+test("a bucket drains to 429 with Retry-After, then refills over time", (t) => {
+  let now = 1_000_000;
+  t.mock.method(Date, "now", () => now);
+  const rl = limiter();
+
+  const first = hit(rl, { path: "/match/entry" });
+  assert.ok(first.passed);
+  assert.deepStrictEqual(first.headers, { "RateLimit-Limit": "2", "RateLimit-Remaining": "1", "RateLimit-Reset": "1" });
+
+  assert.strictEqual(hit(rl, { path: "/match/exits" }).headers["RateLimit-Remaining"], "0");
+
+  const limited = hit(rl, { path: "/match/entry" });
+  assert.strictEqual(limited.passed, false);
+  assert.strictEqual(limited.status, 429);
+  assert.strictEqual(limited.headers["Retry-After"], "1");
+  assert.deepStrictEqual(limited.body, { error: "Too many requests", group: "match", retryAfter: 1 });
+
+  now += 1000; // one token back
+  assert.ok(hit(rl, { path: "/match/entry" }).passed);
+  assert.strictEqual(hit(rl, { path: "/match/entry" }).status, 429);
+});
+
+test("buckets are per group and per client", (t) => {
+  t.mock.method(Date, "now", () => 1_000_000);
+  const rl = limiter();
+
+  for (let i = 0; i < 2; i++) hit(rl, { path: "/match/entry" });
+  assert.strictEqual(hit(rl, { path: "/match/entry" }).status, 429);
+
+  // same client, other group; other client, same group
+  assert.ok(hit(rl, { path: "/trades" }).passed);
+  assert.ok(hit(rl, { path: "/match/entry", ip: "198.51.100.1" }).passed);
+});
+
+test("API keys get their own bucket, scaled by their factor", (t) => {
+  t.mock.method(Date, "now", () => 1_000_000);
+  const rl = limiter({ apiKeys: new Map([["partner", 5]]) });
+
+  const r = hit(rl, { path: "/match/entry", apiKey: "partner" });
+  assert.strictEqual(r.headers["RateLimit-Limit"], "10");
+  for (let i = 0; i < 9; i++) assert.ok(hit(rl, { path: "/match/entry", apiKey: "partner" }).passed);
+  assert.strictEqual(hit(rl, { path: "/match/entry", apiKey: "partner" }).status, 429);
+
+  // the key's usage does not touch the IP bucket
+  assert.ok(hit(rl, { path: "/match/entry" }).passed);
+
+  const unknown = hit(rl, { path: "/match/entry", apiKey: "nope" });
+  assert.strictEqual(unknown.status, 401);
+});
+
+test("allowlisted IPs are never limited nor get headers", (t) => {
+  t.mock.method(Date, "now", () => 1_000_000);
+  const rl = limiter({ allowlist: new Set(["127.0.0.1"]) });
+
+  for (let i = 0; i < 10; i++) {
+    const r = hit(rl, { path: "/match/entry", ip: "127.0.0.1" });
+    assert.ok(r.passed);
+    assert.deepStrictEqual(r.headers, {});
+  }
+});
@@ -0,0 +1,112 @@
+// Execution scheduler: priority order, dedupe by key, scoring.
+
+const test = require("node:test");
+const assert = require("node:assert");
+const { PriorityScheduler, scoreExecution } = require("../executor/scheduler");
+
+// acquire() resolves only when the test hands a wallet out, so jobs pile up meanwhile
+function gatedScheduler() {
+  const waiting = [];
+  const ran = [];
+  const scheduler = new PriorityScheduler({
+    acquire: () => new Promise((resolve) => waiting.push(resolve)),
+  });
+
+  async function handOut(wallet) {
+    while (!waiting.length) await new Promise((r) => setImmediate(r));
+    waiting.shift()(wallet);
+    await new Promise((r) => setImmediate(r));
+  }
+
+  const job = (key, rank, score, extra = {}) => ({
+    key,
+    priority: () => ({ rank, score }),
+    run: (wallet) => ran.push([key, wallet]),
+    ...extra,
+  });
+
+  return { scheduler, handOut, job, ran };
+}
+
+test("stop loss before take profit before entries, then by score, then FIFO", async () => {
+  const { scheduler, handOut, job, ran } = gatedScheduler();
+  scheduler.push(job("entry:1", 2, 50));
+  scheduler.push(job("exit:2", 1, 0));
+  scheduler.push(job("exit:3", 0, 1));
+  scheduler.push(job("exit:4", 0, 9));
+  scheduler.push(job("entry:5", 2, 50)); // same score as entry:1, pushed later
+
+  for (let i = 0; i < 5; i++) await handOut(`w${i}`);
+
+  assert.deepStrictEqual(ran.map(([key]) => key), ["exit:4", "exit:3", "exit:2", "entry:1", "entry:5"]);
+  assert.strictEqual(scheduler.size, 0);
+});
+
+test("the wallet goes to the best job queued by the time it is free", async () => {
+  const { scheduler, handOut, job, ran } = gatedScheduler();
+  scheduler.push(job("entry:1", 2, 0)); // pump now waits for a wallet
+  scheduler.push(job("exit:2", 0, 0));  // better job arrives meanwhile
+
+  await handOut("w0");
+  assert.deepStrictEqual(ran, [["exit:2", "w0"]]);
+});
+
+test("a key pushed again replaces the queued job and keeps its firstSeenAt", async (t) => {
+  let now = 1_000;
+  t.mock.method(Date, "now", () => now);
+  const { scheduler, handOut, job, ran } = gatedScheduler();
+  const seen = [];
+
+  scheduler.push(job("exit:1", 1, 0, { priority: ({ firstSeenAt }) => (seen.push(firstSeenAt), { rank: 1, score: 0 }) }));
+  now = 5_000;
+  scheduler.push(job("exit:1", 1, 0, {
+    priority: ({ firstSeenAt }) => (seen.push(firstSeenAt), { rank: 1, score: 0 }),
+    run: (wallet) => ran.push(["exit:1 v2", wallet]),
+  }));
+
+  assert.strictEqual(scheduler.size, 1);
+  assert.ok(scheduler.has("exit:1"));
+  assert.deepStrictEqual(seen, [1_000, 1_000]);
+
+  await handOut("w0");
+  assert.deepStrictEqual(ran, [["exit:1 v2", "w0"]]);
+  assert.strictEqual(scheduler.has("exit:1"), false);
+});
+
+test("replaced versions piling up are compacted away", async () => {
+  const { scheduler, handOut, job, ran } = gatedScheduler();
+  for (let i = 0; i < 500; i++) scheduler.push(job("exit:1", 0, i));
+  scheduler.push(job("entry:2", 2, 0));
+
+  assert.strictEqual(scheduler.size, 2);
+  assert.ok(scheduler.heap.length <= 4 * scheduler.size + 64);
+
+  await handOut("w0");
+  await handOut("w1");
+  assert.deepStrictEqual(ran.map(([key]) => key), ["exit:1", "entry:2"]);
+});
+
+test("a job that throws does not stop the pump", async (t) => {
+  t.mock.method(console, "error", () => {});
+  const { scheduler, handOut, job, ran } = gatedScheduler();
+  scheduler.push(job("exit:1", 0, 0, { run: () => { throw new Error("boom"); } }));
+  scheduler.push(job("exit:2", 1, 0));
+
+  await handOut("w0");
+  await handOut("w1");
+  assert.deepStrictEqual(ran, [["exit:2", "w1"]]);
+});
+
+test("scoreExecution: distance past the trigger, size and age add up", () => {
+  const trade = { isLong: 1, stopLoss: 100_000_000, marginUsdc: "99000000", leverage: 10 }; // 990 USD notional
+  const weights = { distance: 1, size: 10, age: 1 };
+
+  const s = scoreExecution({ type: "stopLoss", trade, marketE6: 99_000_000, firstSeenAt: 1_000, now: 3_000, weights });
+  assert.strictEqual(s.rank, 0);
+  // 100 bps past the stop + log10(1 + 990) * 10 + 2 s
+  assert.ok(Math.abs(s.score - (100 + Math.log10(991) * 10 + 2)) < 1e-9, String(s.score));
+
+  // not triggered => no distance; unknown trade row => rank only
+  assert.strictEqual(scoreExecution({ type: "stopLoss", trade, marketE6: 101_000_000, now: 0, weights }).score, Math.log10(991) * 10);
+  assert.deepStrictEqual(scoreExecution({ type: "limit", marketE6: 1, now: 0 }), { rank: 2, score: 0 });
+});
@@ -0,0 +1,47 @@
+// Order book side: skip list checked against a plain sorted array over random updates.
+
+const test = require("node:test");
+const assert = require("node:assert");
+const { SortedLevels } = require("../services/sortedLevels");
+
+function naiveSorted(levels) {
+  return [...levels.values()].sort((a, b) => a[0] - b[0] || a[1] - b[1]);
+}
+
+test("insert / remove / range reads match a sorted array", () => {
+  const book = new SortedLevels();
+  const naive = new Map(); // id -> [price, id]
+  let seed = 42;
+  const rand = (n) => ((seed = (seed * 1103515245 + 12345) % 2 ** 31) % n);
+
+  for (let step = 0; step < 5000; step++) {
+    const id = rand(500) + 1;
+    const prev = naive.get(id);
+    if (prev && rand(3) === 0) {
+      book.remove(prev[0], id);
+      naive.delete(id);
+    } else {
+      if (prev) book.remove(prev[0], id);
+      const price = rand(100) * 1_000_000;
+      book.insert(price, id);
+      naive.set(id, [price, id]);
+    }
+
+    if (step % 250 === 0) {
+      const sorted = naiveSorted(naive);
+      const market = rand(100) * 1_000_000;
+      assert.strictEqual(book.size, sorted.length);
+      assert.deepStrictEqual(book.atOrBelow(market), sorted.filter(([p]) => p <= market).map(([, i]) => i));
+      assert.deepStrictEqual(book.atOrAbove(market), sorted.filter(([p]) => p >= market).map(([, i]) => i));
+    }
+  }
+});
+
+test("removing a level that is not there is a no-op", () => {
+  const book = new SortedLevels();
+  book.insert(100, 1);
+  book.remove(100, 2);
+  book.remove(200, 1);
+  assert.strictEqual(book.size, 1);
+  assert.deepStrictEqual(book.atOrAbove(0), [1]);
+});
@@ -0,0 +1,117 @@
+// Test support (no tests here): in-memory chain behind an ethers v5 provider-like object, enough
+// for services/syncEngine.js: blocks (number => hash), CORE nextTradeID + TradeEvent logs and
+// the paymaster list getters. State reads ignore blockTag: they return the current trades.
+
+const { ethers } = require("ethers");
+
+const CORE_ADDRESS = "0x00000000000000000000000000000000000c0de1";
+const PAYMASTER_ADDRESS = "0x00000000000000000000000000000000000c0de2";
+
+const TRADE_TUPLE = "tuple(address trader, uint32 assetId, bool isLong, bool isLimit, uint8 leverage, uint48 openPrice, uint8 state, uint32 openTimestamp, uint128 fundingIndex, uint48 closePrice, int32 lotSize, int32 closedLotSize, uint48 stopLoss, uint48 takeProfit, uint64 lpLockedCapital, uint64 marginUsdc)";
+
+const iface = new ethers.utils.Interface([
+  "function nextTradeID() view returns (uint256)",
+  "event TradeEvent(uint256 tradeId, uint8 code)",
+  `function getTradesFromList(uint256[] tradeIds) view returns (${TRADE_TUPLE}[])`,
+  "function getSLTPFromList(uint256[] tradeIds) view returns (uint48[], uint48[])",
+  "function getTradeStatesFromList(uint256[] tradeIds) view returns (uint8[])",
+]);
+
+function blockHash(number, fork = 0) {
+  return ethers.utils.hexZeroPad(ethers.utils.hexlify(number * 16 + fork), 32);
+}
+
+function trade(overrides = {}) {
+  return {
+    trader: "0x1111111111111111111111111111111111111111",
+    assetId: 0,
+    isLong: true,
+    isLimit: false,
+    leverage: 10,
+    openPrice: 100_000_000,
+    state: 1,
+    openTimestamp: 1_700_000_000,
+    fundingIndex: 0,
+    closePrice: 0,
+    lotSize: 1,
+    closedLotSize: 0,
+    stopLoss: 0,
+    takeProfit: 0,
+    lpLockedCapital: 0,
+    marginUsdc: 10_000_000,
+    ...overrides,
+  };
+}
+
+function createFakeChain({ head = 100 } = {}) {
+  const chain = {
+    head,
+    forks: new Map(), // number => fork id (hash changes when a block is re-mined)
+    trades: new Map(), // id => struct
+    logs: [], // { blockNumber, tradeId, code, logIndex }
+    calls: { getLogs: [], getTradesFromList: [] },
+  };
+
+  chain.hashOf = (n) => blockHash(n, chain.forks.get(n) || 0);
+
+  // replace block n (and its logs) with another version
+  chain.reorg = (n) => {
+    chain.forks.set(n, (chain.forks.get(n) || 0) + 1);
+    chain.logs = chain.logs.filter((l) => l.blockNumber !== n);
+  };
+
+  chain.emit = (blockNumber, tradeId, code) => {
+    chain.logs.push({ blockNumber, tradeId, code, logIndex: chain.logs.filter((l) => l.blockNumber === blockNumber).length });
+  };
+
+  function rawLog(l) {
+    const { data, topics } = iface.encodeEventLog(iface.getEvent("TradeEvent"), [l.tradeId, l.code]);
+    const hash = chain.hashOf(l.blockNumber);
+    return {
+      address: CORE_ADDRESS,
+      data,
+      topics,
+      blockNumber: l.blockNumber,
+      blockHash: hash,
+      transactionHash: ethers.utils.keccak256(ethers.utils.concat([hash, ethers.utils.hexlify(l.logIndex)])),
+      logIndex: l.logIndex,
+    };
+  }
+
+  chain.provider = {
+    _isProvider: true,
+
+    async getBlock(tag) {
+      const number = tag === "latest" ? chain.head : Number(tag);
+      if (number > chain.head) return null;
+      return { number, hash: chain.hashOf(number) };
+    },
+
+    async getLogs({ fromBlock, toBlock }) {
+      chain.calls.getLogs.push([fromBlock, toBlock]);
+      return chain.logs
+        .filter((l) => l.blockNumber >= fromBlock && l.blockNumber <= toBlock)
+        .sort((a, b) => a.blockNumber - b.blockNumber || a.logIndex - b.logIndex)
+        .map(rawLog);
+    },
+
+    async call(tx) {
+      const fn = iface.parseTransaction({ data: tx.data });
+      const ids = fn.args.tradeIds ? fn.args.tradeIds.map(Number) : [];
+      const rows = ids.map((id) => chain.trades.get(id) || trade({ trader: ethers.constants.AddressZero }));
+
+      if (fn.name === "nextTradeID") return iface.encodeFunctionResult(fn.name, [chain.trades.size ? Math.max(...chain.trades.keys()) : 0]);
+      if (fn.name === "getTradesFromList") {
+        chain.calls.getTradesFromList.push(ids);
+        return iface.encodeFunctionResult(fn.name, [rows]);
+      }
+      if (fn.name === "getSLTPFromList") return iface.encodeFunctionResult(fn.name, [rows.map((r) => r.stopLoss), rows.map((r) => r.takeProfit)]);
+      if (fn.name === "getTradeStatesFromList") return iface.encodeFunctionResult(fn.name, [rows.map((r) => r.state)]);
+      throw new Error(`fake chain: unexpected call ${fn.name}`);
+    },
+  };
+
+  return chain;
+}
+
+module.exports = { createFakeChain, trade, CORE_ADDRESS, PAYMASTER_ADDRESS };
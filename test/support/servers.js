@@ -0,0 +1,121 @@
+// Test support (no tests here): runs public.read.server.js (public read + private write servers)
+// on free ports over a temporary trades.db, with one write key per scope. The child process is
+// stopped by pid when the calling test ends.
+
+const fs = require("fs");
+const net = require("net");
+const os = require("os");
+const path = require("path");
+const { spawn } = require("child_process");
+const fetch = require("node-fetch");
+const { signRequest } = require("../../write.auth");
+
+const SERVER_JS = path.resolve(__dirname, "../../public.read.server.js");
+const STARTUP_TIMEOUT_MS = 15_000;
+
+// key id => scopes (secret = `${id}-secret`)
+const WRITE_KEYS = { "sync-1": "sync", "exec-1": "executor", "ops-1": "admin" };
+
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const srv = net.createServer();
+    srv.once("error", reject);
+    srv.listen(0, "127.0.0.1", () => {
+      const { port } = srv.address();
+      srv.close(() => resolve(port));
+    });
+  });
+}
+
+async function waitHealthy(url, child, output) {
+  const deadline = Date.now() + STARTUP_TIMEOUT_MS;
+  while (Date.now() < deadline) {
+    if (child.exitCode !== null) throw new Error(`server exited (${child.exitCode}):\n${output()}`);
+    try {
+      if ((await fetch(url)).ok) return;
+    } catch {
+      // not listening yet
+    }
+    await new Promise((r) => setTimeout(r, 100));
+  }
+  throw new Error(`server not healthy after ${STARTUP_TIMEOUT_MS}ms:\n${output()}`);
+}
+
+async function startServers(t, env = {}) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "servers-"));
+  const [publicPort, privatePort] = [await freePort(), await freePort()];
+  const dbPath = path.join(dir, "trades.db");
+
+  const child = spawn(process.execPath, [SERVER_JS], {
+    cwd: dir,
+    env: {
+      ...process.env,
+      DB_PATH: dbPath,
+      PUBLIC_PORT: String(publicPort),
+      PRIVATE_PORT: String(privatePort),
+      WRITE_API_KEYS: Object.entries(WRITE_KEYS).map(([id, scope]) => `${id}:${id}-secret:${scope}`).join(","),
+      // exposures refresh: refused at once instead of hanging on a real RPC
+      RPC_URL: "http://127.0.0.1:9",
+      CORE_ADDRESS: "0x0000000000000000000000000000000000000001",
+      ...env,
+    },
+    stdio: ["ignore", "pipe", "pipe"],
+  });
+  let out = "";
+  child.stdout.on("data", (d) => (out += d));
+  child.stderr.on("data", (d) => (out += d));
+
+  t.after(async () => {
+    if (child.exitCode === null) {
+      const exited = new Promise((r) => child.once("exit", r));
+      child.kill();
+      await exited;
+    }
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  const readBase = `http://127.0.0.1:${publicPort}`;
+  const writeBase = `http://127.0.0.1:${privatePort}`;
+  await waitHealthy(`${readBase}/health`, child, () => out);
+  await waitHealthy(`${writeBase}/health`, child, () => out);
+
+  // signed write request, { status, body }
+  async function write(method, pathname, body, keyId = "ops-1") {
+    const raw = body === undefined ? "" : JSON.stringify(body);
+    const res = await fetch(`${writeBase}${pathname}`, {
+      method,
+      headers: {
+        ...(raw ? { "content-type": "application/json" } : {}),
+        ...signRequest({ keyId, secret: `${keyId}-secret`, method, path: pathname, body: raw }),
+      },
+      body: raw || undefined,
+    });
+    return { status: res.status, body: await res.json().catch(() => null) };
+  }
+
+  async function read(pathname, opts = {}) {
+    const res = await fetch(`${readBase}${pathname}`, opts);
+    return { status: res.status, headers: res.headers, body: await res.json().catch(() => null) };
+  }
+
+  return { readBase, writeBase, dbPath, read, write };
+}
+
+// PUT /trade/:id body with sane defaults
+function tradeBody(overrides = {}) {
+  return {
+    trader: "0x1111111111111111111111111111111111111111",
+    assetId: 0,
+    isLong: 1,
+    isLimit: 0,
+    leverage: 10,
+    openPrice: 100_000_000,
+    state: 1,
+    openTimestamp: 1_700_000_000,
+    lotSize: 1,
+    marginUsdc: "10000000",
+    ...overrides,
+  };
+}
+
+module.exports = { startServers, tradeBody, WRITE_KEYS };
@@ -0,0 +1,101 @@
+// Sync engine, events pass: cursor initialization, TradeEvent replay, the cursor never moving
+// into unconfirmed blocks nor backwards.
+
+const test = require("node:test");
+const assert = require("node:assert");
+const { startServers } = require("./support/servers");
+const { createFakeChain, trade, CORE_ADDRESS, PAYMASTER_ADDRESS } = require("./support/fakeChain");
+
+process.env.SYNC_CONFIRMATIONS = "12";
+process.env.SYNC_LOG_WINDOW = "10";
+const { createSyncEngine } = require("../services/syncEngine");
+
+async function setup(t) {
+  t.mock.method(console, "log", () => {});
+  const srv = await startServers(t);
+  const chain = createFakeChain({ head: 100 });
+  const engine = createSyncEngine({
+    provider: chain.provider,
+    writeBase: srv.writeBase,
+    dbPath: srv.dbPath,
+    flushMs: 0,
+    credentials: { keyId: "sync-1", secret: "sync-1-secret" },
+    coreAddress: CORE_ADDRESS,
+    paymasterAddress: PAYMASTER_ADDRESS,
+  });
+  t.after(() => engine.close());
+
+  const cursor = async () => (await srv.write("GET", "/sync/cursor/core.TradeEvent", undefined, "sync-1")).body.cursor?.block ?? null;
+  return { srv, chain, engine, cursor };
+}
+
+test("first run only places the cursor at head - confirmations", async (t) => {
+  const { srv, chain, engine, cursor } = await setup(t);
+  chain.trades.set(1, trade());
+  chain.emit(95, 1, 0);
+
+  const r = await engine.syncEvents();
+  assert.deepStrictEqual([r.skipped, r.safeBlock], ["cursorInitialized", 88]);
+  assert.strictEqual(await cursor(), 88);
+  assert.strictEqual(chain.calls.getLogs.length, 0);
+  assert.strictEqual((await srv.read("/trade/1")).status, 404);
+});
+
+test("logs past the cursor are applied, the cursor stops at the safe block", async (t) => {
+  const { srv, chain, engine, cursor } = await setup(t);
+  chain.trades.set(1, trade());
+  await engine.syncEvents(); // cursor => 88
+
+  chain.trades.set(2, trade({ assetId: 3, stopLoss: 90_000_000 }));
+  chain.emit(90, 2, 0);
+  chain.emit(99, 2, 3);
+  chain.emit(99, 1, 4);
+
+  const r = await engine.syncEvents();
+  // ids are counted per window: trade 2 is read in both
+  assert.deepStrictEqual([r.fromBlock, r.toBlock, r.windows, r.logs, r.ids, r.recorded], [89, 100, 2, 3, 3, 3]);
+  // windows of SYNC_LOG_WINDOW blocks from the cursor
+  assert.deepStrictEqual(chain.calls.getLogs, [[89, 98], [99, 100]]);
+  assert.strictEqual(await cursor(), 88);
+
+  const row = (await srv.read("/trade/2")).body;
+  assert.deepStrictEqual([row.assetId, row.stopLoss, row.syncBlock, row.syncFinal], [3, 90_000_000, 100, 0]);
+  assert.strictEqual((await srv.read("/trade/1")).status, 200);
+
+  const lifecycle = (await srv.read("/trade/2/lifecycle")).body;
+  assert.deepStrictEqual(lifecycle.events.map((e) => [e.blockNumber, e.code, e.type]), [[90, 0, "unknown"], [99, 3, "unknown"]]);
+});
+
+test("the cursor follows the safe block as the head moves, re-scans add no duplicate logs", async (t) => {
+  const { srv, chain, engine, cursor } = await setup(t);
+  chain.trades.set(1, trade());
+  await engine.syncEvents();
+
+  chain.emit(95, 1, 0);
+  await engine.syncEvents();
+  assert.strictEqual(await cursor(), 88);
+
+  chain.head = 110; // safe block 98
+  const r = await engine.syncEvents();
+  assert.strictEqual(r.fromBlock, 89); // the unconfirmed tail is read again
+  assert.strictEqual(r.recorded, 0);
+  assert.strictEqual(await cursor(), 98);
+  assert.strictEqual((await srv.read("/trade/1/lifecycle")).body.count, 1);
+});
+
+test("a manual replay of an old range does not move the cursor backwards", async (t) => {
+  const { chain, engine, cursor } = await setup(t);
+  chain.trades.set(1, trade());
+  await engine.syncEvents();
+  chain.emit(50, 1, 0);
+
+  const r = await engine.syncEvents({ fromBlock: 45, toBlock: 54 });
+  assert.deepStrictEqual([r.logs, r.recorded], [1, 1]);
+  assert.strictEqual(await cursor(), 88);
+});
+
+test("no trades onchain: nothing is read nor initialized", async (t) => {
+  const { engine, cursor } = await setup(t);
+  assert.deepStrictEqual(await engine.syncEvents(), { skipped: "noTrades" });
+  assert.strictEqual(await cursor(), null);
+});
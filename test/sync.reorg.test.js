@@ -0,0 +1,98 @@
+// Sync engine, reorg pass: rows read at an orphaned block are re-read or deleted, their
+// lifecycle logs dropped, the events cursor rewound; canonical rows deep enough become final.
+
+const test = require("node:test");
+const assert = require("node:assert");
+const { startServers } = require("./support/servers");
+const { createFakeChain, trade, CORE_ADDRESS, PAYMASTER_ADDRESS } = require("./support/fakeChain");
+
+process.env.SYNC_CONFIRMATIONS = "12";
+const { createSyncEngine } = require("../services/syncEngine");
+
+async function setup(t) {
+  t.mock.method(console, "log", () => {});
+  t.mock.method(console, "warn", () => {});
+  const srv = await startServers(t);
+  const chain = createFakeChain({ head: 100 });
+  const engine = createSyncEngine({
+    provider: chain.provider,
+    writeBase: srv.writeBase,
+    dbPath: srv.dbPath,
+    flushMs: 0,
+    credentials: { keyId: "sync-1", secret: "sync-1-secret" },
+    coreAddress: CORE_ADDRESS,
+    paymasterAddress: PAYMASTER_ADDRESS,
+  });
+  t.after(() => engine.close());
+
+  const cursor = async () => (await srv.write("GET", "/sync/cursor/core.TradeEvent", undefined, "sync-1")).body.cursor?.block ?? null;
+  return { srv, chain, engine, cursor };
+}
+
+test("rows read at an orphaned block are re-read at the new head, trades gone are deleted", async (t) => {
+  const { srv, chain, engine } = await setup(t);
+  for (const id of [1, 2, 3]) chain.trades.set(id, trade());
+  await engine.syncFull([1, 2, 3]); // stamped #100
+  assert.strictEqual((await srv.read("/trade/3")).body.syncBlock, 100);
+
+  // block 100 re-mined: trade 3 never existed, trade 2 got closed
+  chain.reorg(100);
+  chain.trades.delete(3);
+  chain.trades.set(2, trade({ state: 2, closePrice: 101_000_000 }));
+
+  const r = await engine.checkReorgs();
+  assert.deepStrictEqual([r.orphaned, r.resynced, r.deleted, r.finalized], [1, 2, 1, 0]);
+
+  const row = (await srv.read("/trade/2")).body;
+  assert.deepStrictEqual([row.state, row.closePrice, row.syncBlock, row.syncBlockHash], [2, 101_000_000, 100, chain.hashOf(100)]);
+  assert.strictEqual((await srv.read("/trade/3")).status, 404);
+  assert.ok((await srv.read("/trade/2/history")).body.events.some((e) => e.source === "reorg"));
+
+  // the re-read rows are canonical: nothing left to roll back
+  assert.strictEqual((await engine.checkReorgs()).orphaned, 0);
+});
+
+test("canonical rows become final once deep enough, then are never checked again", async (t) => {
+  const { srv, chain, engine } = await setup(t);
+  chain.trades.set(1, trade());
+  await engine.syncFull([1]);
+
+  chain.head = 111;
+  assert.strictEqual((await engine.checkReorgs()).finalized, 0);
+  assert.strictEqual((await srv.read("/trade/1")).body.syncFinal, 0);
+
+  chain.head = 112; // #100 is 12 deep
+  assert.strictEqual((await engine.checkReorgs()).finalized, 1);
+  assert.strictEqual((await srv.read("/trade/1")).body.syncFinal, 1);
+
+  // a final row is left alone even if its block changes later
+  chain.reorg(100);
+  const r = await engine.checkReorgs();
+  assert.deepStrictEqual([r.stamps, r.orphaned], [0, 0]);
+});
+
+test("lifecycle logs of an orphaned block are dropped and the events cursor rewound below it", async (t) => {
+  const { srv, chain, engine, cursor } = await setup(t);
+  chain.trades.set(1, trade());
+  await engine.syncEvents(); // cursor => 88
+
+  chain.emit(95, 1, 0);
+  chain.head = 110;
+  await engine.syncEvents(); // log of #95 recorded, cursor => 98
+  assert.strictEqual(await cursor(), 98);
+  assert.strictEqual((await srv.read("/trade/1/lifecycle")).body.count, 1);
+
+  // deeper than the cursor: #95 re-mined without the log
+  chain.reorg(95);
+  const r = await engine.checkReorgs();
+  assert.deepStrictEqual([r.orphaned, r.lifecycleDeleted], [1, 1]);
+  assert.strictEqual((await srv.read("/trade/1/lifecycle")).body.count, 0);
+  assert.strictEqual(await cursor(), 94);
+
+  // the canonical log of #95 is picked up by the next events pass
+  chain.emit(95, 1, 4);
+  const next = await engine.syncEvents();
+  assert.strictEqual(next.fromBlock, 95);
+  const events = (await srv.read("/trade/1/lifecycle")).body.events;
+  assert.deepStrictEqual(events.map((e) => [e.blockNumber, e.code, e.blockHash]), [[95, 4, chain.hashOf(95)]]);
+});
@@ -0,0 +1,103 @@
+// Sync engine queue: requests close together share one run, full absorbs the narrower paths,
+// ids requested while a run reads them wait for the next one.
+
+const test = require("node:test");
+const assert = require("node:assert");
+const { startServers } = require("./support/servers");
+const { createFakeChain, trade, CORE_ADDRESS, PAYMASTER_ADDRESS } = require("./support/fakeChain");
+const { createSyncEngine } = require("../services/syncEngine");
+
+async function setup(t) {
+  t.mock.method(console, "log", () => {});
+  const srv = await startServers(t);
+  const chain = createFakeChain({ head: 100 });
+  for (const id of [1, 2, 3]) chain.trades.set(id, trade({ stopLoss: id * 1_000_000 }));
+  const engine = createSyncEngine({
+    provider: chain.provider,
+    writeBase: srv.writeBase,
+    dbPath: srv.dbPath,
+    flushMs: 20,
+    credentials: { keyId: "sync-1", secret: "sync-1-secret" },
+    coreAddress: CORE_ADDRESS,
+    paymasterAddress: PAYMASTER_ADDRESS,
+  });
+  t.after(() => engine.close());
+  return { srv, chain, engine };
+}
+
+test("calls within the flush delay share one run, full covers sltp and states", async (t) => {
+  const { srv, chain, engine } = await setup(t);
+
+  const results = await Promise.all([
+    engine.syncSLTP([1]),
+    engine.syncStates([2]),
+    engine.syncFull([1, 2]),
+    engine.syncFull([3, "3", 0, "x"]), // invalid ids are ignored
+    engine.syncSLTP([3]),
+  ]);
+
+  assert.deepStrictEqual(chain.calls.getTradesFromList, [[1, 2, 3]]);
+  for (const r of results) assert.strictEqual(r, results[0]);
+  assert.deepStrictEqual([results[0].full, results[0].states, results[0].sltp, results[0].upserted], [3, 0, 0, 3]);
+
+  const stats = engine.stats();
+  assert.deepStrictEqual([stats.runs, stats.requested, stats.coalesced, stats.queued, stats.running], [1, 7, 4, 0, false]);
+  assert.strictEqual(stats.lastRun.callers, 5);
+  assert.strictEqual((await srv.read("/trade/3")).body.stopLoss, 3_000_000);
+});
+
+test("states and sltp on the same id both run, a state change triggers a full read", async (t) => {
+  const { srv, chain, engine } = await setup(t);
+  await engine.syncFull([1]);
+
+  chain.trades.set(1, trade({ state: 2, stopLoss: 7_000_000 }));
+  const [a, b] = await Promise.all([engine.syncStates([1]), engine.syncSLTP([1])]);
+
+  assert.strictEqual(a, b);
+  assert.deepStrictEqual([a.states, a.sltp, a.fullForClosed], [1, 1, 1]);
+  const row = (await srv.read("/trade/1")).body;
+  assert.deepStrictEqual([row.state, row.stopLoss], [2, 7_000_000]);
+});
+
+test("ids requested while a run reads them go in the next run", async (t) => {
+  const { chain, engine } = await setup(t);
+
+  // hold the first getTradesFromList until the test lets it go
+  let release;
+  const held = new Promise((r) => (release = r));
+  const call = chain.provider.call;
+  chain.provider.call = async (tx, blockTag) => {
+    const out = await call(tx, blockTag);
+    if (chain.calls.getTradesFromList.length === 1) await held;
+    return out;
+  };
+
+  const first = engine.syncFull([1]);
+  while (!chain.calls.getTradesFromList.length) await new Promise((r) => setTimeout(r, 5));
+  assert.strictEqual(engine.stats().running, true);
+
+  const second = engine.syncFull([1, 2]);
+  assert.strictEqual(engine.stats().queued, 2);
+  release();
+
+  const [r1, r2] = await Promise.all([first, second]);
+  assert.deepStrictEqual([r1.full, r2.full], [1, 2]);
+  assert.deepStrictEqual(chain.calls.getTradesFromList, [[1], [1, 2]]);
+  assert.strictEqual(engine.stats().runs, 2);
+});
+
+test("a failed run rejects all its callers, the next one starts clean", async (t) => {
+  t.mock.method(console, "error", () => {});
+  const { chain, engine } = await setup(t);
+  const call = chain.provider.call;
+  chain.provider.call = async () => {
+    throw new Error("rpc down");
+  };
+
+  const settled = await Promise.allSettled([engine.syncFull([1]), engine.syncSLTP([2])]);
+  assert.deepStrictEqual(settled.map((s) => s.status), ["rejected", "rejected"]);
+  assert.strictEqual(engine.stats().failedRuns, 1);
+
+  chain.provider.call = call;
+  assert.strictEqual((await engine.syncFull([1])).upserted, 1);
+});
@@ -0,0 +1,46 @@
+// /trades/byIds: full rows in request order, duplicates dropped, unknown ids in notFound.
+
+const test = require("node:test");
+const assert = require("node:assert");
+const { startServers, tradeBody } = require("./support/servers");
+
+test("/trades/byIds", async (t) => {
+  const { read, write } = await startServers(t);
+  for (const id of [3, 5, 9]) {
+    const r = await write("PUT", `/trade/${id}`, tradeBody({ stopLoss: id * 1_000_000 }), "sync-1");
+    assert.strictEqual(r.status, 200, JSON.stringify(r.body));
+  }
+
+  await t.test("POST returns rows in request order, same format as /trade/:id", async () => {
+    const r = await read("/trades/byIds", {
+      method: "POST",
+      headers: { "content-type": "application/json" },
+      body: JSON.stringify({ ids: [9, 4, 3, 9, 5] }),
+    });
+    assert.strictEqual(r.status, 200);
+    assert.deepStrictEqual(r.body.trades.map((tr) => tr.id), [9, 3, 5]);
+    assert.strictEqual(r.body.count, 3);
+    assert.deepStrictEqual(r.body.notFound, [4]);
+    assert.deepStrictEqual(r.body.trades[0], (await read("/trade/9")).body);
+  });
+
+  await t.test("GET takes a comma separated list", async () => {
+    const r = await read("/trades/byIds?ids=5,1");
+    assert.deepStrictEqual(r.body.trades.map((tr) => [tr.id, tr.stopLoss]), [[5, 5_000_000]]);
+    assert.deepStrictEqual(r.body.notFound, [1]);
+  });
+
+  await t.test("rejects a missing, invalid or too long list", async () => {
+    assert.strictEqual((await read("/trades/byIds")).status, 400);
+    assert.strictEqual((await read("/trades/byIds?ids=1,x")).status, 400);
+
+    const tooMany = Array.from({ length: 1001 }, (_, i) => i + 1);
+    const r = await read("/trades/byIds", {
+      method: "POST",
+      headers: { "content-type": "application/json" },
+      body: JSON.stringify({ ids: tooMany }),
+    });
+    assert.strictEqual(r.status, 400);
+    assert.match(r.body.error, /Too many ids/);
+  });
+});
@@ -0,0 +1,63 @@
+// GET /trades: keyset pagination (newest first, `nextCursor` = last id of the page).
+
+const test = require("node:test");
+const assert = require("node:assert");
+const { startServers, tradeBody } = require("./support/servers");
+
+const ALICE = "0xaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaa";
+const BOB = "0xbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbb";
+
+test("GET /trades pages by id with nextCursor", async (t) => {
+  const { read, write } = await startServers(t);
+  for (let id = 1; id <= 7; id++) {
+    const r = await write("PUT", `/trade/${id}`, tradeBody({ trader: id % 2 ? ALICE : BOB, state: id <= 3 ? 0 : 1 }), "sync-1");
+    assert.strictEqual(r.status, 200, JSON.stringify(r.body));
+  }
+
+  const ids = (page) => page.body.trades.map((tr) => tr.id);
+
+  await t.test("walks every row once, newest first", async () => {
+    const p1 = await read("/trades?limit=3");
+    assert.deepStrictEqual(ids(p1), [7, 6, 5]);
+    assert.strictEqual(p1.body.nextCursor, 5);
+
+    const p2 = await read(`/trades?limit=3&cursor=${p1.body.nextCursor}`);
+    assert.deepStrictEqual(ids(p2), [4, 3, 2]);
+    assert.strictEqual(p2.body.nextCursor, 2);
+
+    const p3 = await read(`/trades?limit=3&cursor=${p2.body.nextCursor}`);
+    assert.deepStrictEqual(ids(p3), [1]);
+    assert.strictEqual(p3.body.nextCursor, null);
+  });
+
+  await t.test("an exact last page has no next cursor", async () => {
+    const p = await read("/trades?limit=7");
+    assert.strictEqual(p.body.count, 7);
+    assert.strictEqual(p.body.nextCursor, null);
+  });
+
+  await t.test("rows inserted meanwhile do not shift the next pages", async () => {
+    const p1 = await read("/trades?limit=2");
+    assert.deepStrictEqual(ids(p1), [7, 6]);
+
+    assert.strictEqual((await write("PUT", "/trade/8", tradeBody(), "sync-1")).status, 200);
+
+    const p2 = await read(`/trades?limit=2&cursor=${p1.body.nextCursor}`);
+    assert.deepStrictEqual(ids(p2), [5, 4]);
+  });
+
+  await t.test("filters apply before the page is cut", async () => {
+    const p1 = await read(`/trades?trader=${ALICE}&state=1&limit=1`);
+    assert.deepStrictEqual(ids(p1), [7]);
+
+    const p2 = await read(`/trades?trader=${ALICE}&state=1&limit=1&cursor=${p1.body.nextCursor}`);
+    assert.deepStrictEqual(ids(p2), [5]);
+    assert.strictEqual(p2.body.nextCursor, null);
+  });
+
+  await t.test("rejects a limit out of range and a bad cursor", async () => {
+    assert.strictEqual((await read("/trades?limit=0")).status, 400);
+    assert.strictEqual((await read("/trades?limit=1001")).status, 400);
+    assert.strictEqual((await read("/trades?cursor=abc")).status, 400);
+  });
+});
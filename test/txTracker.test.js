@@ -0,0 +1,168 @@
+// Transaction tracking: error classification, replacement fees, submit() outcomes.
+
+const test = require("node:test");
+const assert = require("node:assert");
+const { BigNumber } = require("ethers");
+const { TxTracker, classifyError, bumpFees } = require("../executor/txTracker");
+
+const bn = (v) => BigNumber.from(v);
+
+test("classifyError: node codes, revert reasons and unknown failures", () => {
+  assert.deepStrictEqual(classifyError({ code: "NONCE_EXPIRED", reason: "nonce has already been used" }), {
+    errorClass: "retryable", code: "NONCE_EXPIRED", reason: "nonce has already been used",
+  });
+  assert.strictEqual(classifyError({ code: "INSUFFICIENT_FUNDS" }).errorClass, "retryable");
+
+  // revert: terminal unless the reason points at the proof / price
+  const closed = classifyError({ code: "CALL_EXCEPTION", reason: "execution reverted: trade not open" });
+  assert.deepStrictEqual([closed.errorClass, closed.reason], ["terminal", "execution reverted: trade not open"]);
+
+  // UNPREDICTABLE_GAS_LIMIT: the RPC revert reason nested under `error` wins over "cannot estimate gas"
+  const stale = classifyError({
+    code: "UNPREDICTABLE_GAS_LIMIT",
+    reason: "cannot estimate gas; transaction may fail",
+    error: { reason: "execution reverted: stale proof" },
+  });
+  assert.deepStrictEqual([stale.errorClass, stale.reason], ["retryable", "execution reverted: stale proof"]);
+
+  const custom = classifyError({ code: "CALL_EXCEPTION", errorName: "InvalidState", errorArgs: [bn(2)] });
+  assert.deepStrictEqual([custom.errorClass, custom.reason], ["terminal", "InvalidState(2)"]);
+
+  const raw = classifyError({ code: "CALL_EXCEPTION", data: "0x12345678deadbeef" });
+  assert.strictEqual(raw.reason, "revert data 0x12345678");
+
+  const unknown = classifyError(new Error("socket hang up"));
+  assert.deepStrictEqual(unknown, { errorClass: "retryable", code: null, reason: "socket hang up" });
+});
+
+test("bumpFees: +percent rounded up, never below the node's current fees", () => {
+  const eip1559 = bumpFees(
+    { maxFeePerGas: bn(100), maxPriorityFeePerGas: bn(5) },
+    { maxFeePerGas: bn(90), maxPriorityFeePerGas: bn(20) },
+    15
+  );
+  assert.strictEqual(eip1559.maxFeePerGas.toString(), "115");
+  assert.strictEqual(eip1559.maxPriorityFeePerGas.toString(), "20"); // 5.75 -> 6 < node's 20
+  assert.strictEqual(eip1559.gasPrice, undefined);
+
+  const legacy = bumpFees({ gasPrice: bn(1) }, { gasPrice: null }, 10);
+  assert.deepStrictEqual(Object.keys(legacy), ["gasPrice"]);
+  assert.strictEqual(legacy.gasPrice.toString(), "2"); // tiny values still move
+});
+
+test("the bump percent never goes below the 10% nodes require", () => {
+  assert.strictEqual(new TxTracker({ provider: {}, bumpPercent: 3 }).bumpPercent, 10);
+});
+
+// Fake chain: `receipts` hash => receipt, `latestNonce`, `known` hashes
+function fakeChain() {
+  const chain = { receipts: new Map(), latestNonce: 7, known: new Set(), feeData: {}, sent: [] };
+  chain.provider = {
+    getTransactionCount: async () => chain.latestNonce,
+    getTransactionReceipt: async (hash) => chain.receipts.get(hash) || null,
+    getTransaction: async (hash) => (chain.known.has(hash) ? { hash } : null),
+    getFeeData: async () => chain.feeData,
+    call: async () => {
+      const err = new Error("call revert exception");
+      err.reason = "execution reverted: stale price";
+      throw err;
+    },
+  };
+  chain.wallet = {
+    address: "0x00000000000000000000000000000000000000aa",
+    sendTransaction: async (tx) => {
+      const sent = { ...tx, hash: `0xreplacement${chain.sent.length}` };
+      chain.sent.push(sent);
+      chain.known.add(sent.hash);
+      return sent;
+    },
+  };
+  return chain;
+}
+
+// tracker without write server; records / patches captured in `rows`
+function tracker(t, chain, opts = {}) {
+  const tr = new TxTracker({ provider: chain.provider, writeBase: null, pollMs: 1, stuckAfterMs: 1_000_000, ...opts });
+  const rows = [];
+  let nextId = 1;
+  t.mock.method(tr, "_record", async (row) => (rows.push({ id: nextId, ...row }), nextId++));
+  t.mock.method(tr, "_patch", async (id, fields) => Object.assign(rows.find((r) => r.id === id), fields));
+  t.mock.method(console, "log", () => {});
+  t.mock.method(console, "error", () => {});
+  return { tr, rows };
+}
+
+const firstTx = { hash: "0xfirst", to: "0xcore", data: "0x01", maxFeePerGas: bn(100), maxPriorityFeePerGas: bn(10), gasLimit: bn(300000) };
+
+test("submit: a stuck tx is replaced with bumped fees, the replacement is mined", async (t) => {
+  const chain = fakeChain();
+  chain.known.add(firstTx.hash);
+  chain.feeData = { maxFeePerGas: bn(50), maxPriorityFeePerGas: bn(200) };
+  const { tr, rows } = tracker(t, chain, { stuckAfterMs: 0, maxBumps: 1 });
+
+  // the replacement lands as soon as it is sent
+  const send = chain.wallet.sendTransaction;
+  chain.wallet.sendTransaction = async (tx) => {
+    const sent = await send(tx);
+    chain.receipts.set(sent.hash, { status: 1, blockNumber: 42 });
+    return sent;
+  };
+
+  const r = await tr.submit({ tradeId: 5, kind: "exit", wallet: chain.wallet, nonce: 7, send: async () => firstTx });
+
+  assert.strictEqual(r.status, "mined");
+  assert.strictEqual(r.hash, "0xreplacement0");
+  assert.strictEqual(chain.sent[0].nonce, 7);
+  assert.strictEqual(chain.sent[0].maxFeePerGas.toString(), "115");
+  assert.strictEqual(chain.sent[0].maxPriorityFeePerGas.toString(), "200");
+
+  assert.deepStrictEqual(rows.map((row) => [row.id, row.hash, row.status, row.attempt, row.replaces]), [
+    [1, "0xfirst", "replaced", 1, null],
+    [2, "0xreplacement0", "mined", 2, 1],
+  ]);
+  assert.strictEqual(rows[1].blockNumber, 42);
+});
+
+test("submit: nonce consumed by another tx => dropped, nonce consumed", async (t) => {
+  const chain = fakeChain();
+  chain.latestNonce = 8;
+  const { tr, rows } = tracker(t, chain);
+
+  const r = await tr.submit({ tradeId: 5, kind: "exit", wallet: chain.wallet, nonce: 7, send: async () => firstTx });
+
+  assert.deepStrictEqual([r.status, r.nonceConsumed, r.errorClass], ["dropped", true, "retryable"]);
+  assert.strictEqual(rows[0].status, "dropped");
+});
+
+test("submit: tx unknown to the node for dropAfterMs => dropped, nonce free", async (t) => {
+  const chain = fakeChain();
+  const { tr } = tracker(t, chain, { dropAfterMs: 0 });
+
+  const r = await tr.submit({ tradeId: 5, kind: "exit", wallet: chain.wallet, nonce: 7, send: async () => firstTx });
+
+  assert.deepStrictEqual([r.status, r.nonceConsumed], ["dropped", false]);
+});
+
+test("submit: a failing send is recorded failed with its class", async (t) => {
+  const chain = fakeChain();
+  const { tr, rows } = tracker(t, chain);
+  const send = async () => {
+    throw Object.assign(new Error("replacement fee too low"), { code: "REPLACEMENT_UNDERPRICED" });
+  };
+
+  const r = await tr.submit({ tradeIds: [1, 2], kind: "entry", wallet: chain.wallet, nonce: 7, send });
+
+  assert.deepStrictEqual([r.status, r.code, r.errorClass], ["failed", "REPLACEMENT_UNDERPRICED", "retryable"]);
+  assert.deepStrictEqual(rows.map((row) => [row.tradeId, row.status]), [[1, "failed"], [2, "failed"]]);
+});
+
+test("submit: a reverted receipt carries the replayed revert reason", async (t) => {
+  const chain = fakeChain();
+  chain.receipts.set(firstTx.hash, { status: 0, blockNumber: 9 });
+  const { tr, rows } = tracker(t, chain);
+
+  const r = await tr.submit({ tradeId: 5, kind: "exit", wallet: chain.wallet, nonce: 7, send: async () => firstTx });
+
+  assert.deepStrictEqual([r.status, r.errorClass, r.reason], ["reverted", "retryable", "execution reverted: stale price"]);
+  assert.deepStrictEqual([rows[0].status, rows[0].blockNumber], ["reverted", 9]);
+});
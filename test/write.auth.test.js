@@ -0,0 +1,45 @@
+// Write API signatures: replay protection is per nonce, not per signature.
+
+const test = require("node:test");
+const assert = require("node:assert");
+const { createWriteAuth, loadApiKeys, signRequest } = require("../write.auth");
+
+function call(auth, headers, body) {
+  const req = {
+    method: "POST",
+    originalUrl: "/trades/patch",
+    rawBody: Buffer.from(body),
+    ip: "127.0.0.1",
+    get: (name) => headers[name.toLowerCase()],
+  };
+  let status = 200;
+  const res = { status: (s) => ((status = s), res), json: () => res };
+  let passed = false;
+  auth(req, res, () => (passed = true));
+  return passed ? 200 : status;
+}
+
+test("identical requests signed in the same millisecond are both accepted", (t) => {
+  t.mock.method(Date, "now", () => 1_700_000_000_000);
+  t.mock.method(console, "warn", () => {});
+  const auth = createWriteAuth({ keys: loadApiKeys("sync-1:secret:sync") });
+  const body = JSON.stringify({ patches: [{ id: 1, stopLoss: 0 }] });
+  const sign = () => signRequest({ keyId: "sync-1", secret: "secret", method: "POST", path: "/trades/patch", body });
+
+  const first = sign();
+  const second = sign();
+  assert.strictEqual(first["x-timestamp"], second["x-timestamp"]);
+  assert.strictEqual(call(auth, first, body), 200);
+  assert.strictEqual(call(auth, second, body), 200);
+  assert.strictEqual(call(auth, first, body), 401); // replay
+});
+
+test("the nonce is covered by the signature", (t) => {
+  t.mock.method(console, "warn", () => {});
+  const auth = createWriteAuth({ keys: loadApiKeys("sync-1:secret:sync") });
+  const body = "{}";
+  const headers = signRequest({ keyId: "sync-1", secret: "secret", method: "POST", path: "/trades/patch", body });
+
+  assert.strictEqual(call(auth, { ...headers, "x-nonce": "ab".repeat(16) }, body), 401);
+  assert.strictEqual(call(auth, { ...headers, "x-nonce": undefined }, body), 401);
+});
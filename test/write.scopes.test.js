@@ -0,0 +1,58 @@
+// Private write API: every route needs a signed request and its scope ("admin" passes all).
+
+const test = require("node:test");
+const assert = require("node:assert");
+const fetch = require("node-fetch");
+const { signRequest } = require("../write.auth");
+const { startServers, WRITE_KEYS } = require("./support/servers");
+
+// [method, path, scope]
+const ROUTES = [
+  ["PUT", "/trade/1", "sync"],
+  ["PATCH", "/trade/1", "sync"],
+  ["POST", "/trades/batchUpsert", "sync"],
+  ["POST", "/trades/batchPatchStates", "sync"],
+  ["POST", "/trades/batchPatchSLTP", "sync"],
+  ["POST", "/trades/lifecycle", "sync"],
+  ["GET", "/sync/cursor/core.TradeEvent", "sync"],
+  ["PUT", "/sync/cursor/core.TradeEvent", "sync"],
+  ["POST", "/sync/finalize", "sync"],
+  ["POST", "/sync/reorg", "sync"],
+  ["POST", "/executions", "executor"],
+  ["PATCH", "/executions/1", "executor"],
+  ["GET", "/executions", "executor"],
+  ["PUT", "/assets/1", "admin"],
+];
+
+test("write routes enforce their scope", async (t) => {
+  const { writeBase, write } = await startServers(t);
+
+  for (const [method, path, scope] of ROUTES) {
+    await t.test(`${method} ${path} (${scope})`, async () => {
+      const body = method === "GET" ? undefined : {};
+
+      const unsigned = await fetch(`${writeBase}${path}`, {
+        method,
+        headers: body ? { "content-type": "application/json" } : {},
+        body: body ? "{}" : undefined,
+      });
+      assert.strictEqual(unsigned.status, 401);
+
+      for (const [keyId, keyScope] of Object.entries(WRITE_KEYS)) {
+        const { status } = await write(method, path, body, keyId);
+        if (keyScope === scope || keyScope === "admin") {
+          // past the guard: the handler answers (an empty body is invalid for most routes)
+          assert.ok(![401, 403].includes(status), `${keyId} got ${status}`);
+        } else {
+          assert.strictEqual(status, 403, `${keyId} got ${status}`);
+        }
+      }
+    });
+  }
+
+  await t.test("a signature is bound to its path", async () => {
+    const headers = signRequest({ keyId: "ops-1", secret: "ops-1-secret", method: "GET", path: "/executions" });
+    const res = await fetch(`${writeBase}/executions?limit=1`, { headers });
+    assert.strictEqual(res.status, 401);
+  });
+});
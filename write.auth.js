@@ -0,0 +1,197 @@
+// write.auth.js
+// HMAC request signing for the PRIVATE write server + the matching client helper.
+//
+// Keys (server side, .env):
+//   WRITE_API_KEYS="sync-1:<secret>:sync,exec-1:<secret>:executor,ops:<secret>:admin"
+//   (several scopes for one key: "sync|executor")
+// Client side (services/syncEngine.js, seed.js, executors):
+//   WRITE_API_KEY_ID=sync-1  WRITE_API_SECRET=<secret>
+// Executors write executions ("executor") and resync trades in-process ("sync"):
+//   WRITE_API_KEY_ID=exec-1 ...  +  WRITE_SYNC_API_KEY_ID=sync-1  WRITE_SYNC_API_SECRET=<secret>
+//   (without WRITE_SYNC_API_*, the WRITE_API_* key is used for both and needs "sync|executor";
+//   the executor checks both scopes at startup and refuses to run without them)
+//
+// Each request carries:
+//   x-api-key:   key id
+//   x-timestamp: unix ms (must be within WRITE_AUTH_MAX_SKEW_MS of the server clock)
+//   x-nonce:     random hex, fresh for every request (replay protection: a nonce is accepted once
+//                per key inside the skew window, identical requests in the same ms stay distinct)
+//   x-signature: hex HMAC-SHA256(secret, `${timestamp}\n${nonce}\n${METHOD}\n${path?query}\n${sha256hex(rawBody)}`)
+//
+// Scopes: "sync" (trade writes), "executor" (execution tracking), "admin" (everything).
+// WRITE_AUTH_DISABLED=1 turns the check off (local dev only, logged loudly at startup).
+
+const crypto = require("crypto");
+const fetch = require("node-fetch");
+
+const SCOPES = ["sync", "executor", "admin"];
+const MAX_SKEW_MS = Number(process.env.WRITE_AUTH_MAX_SKEW_MS || 30_000);
+
+function sha256Hex(buf) {
+  return crypto.createHash("sha256").update(buf || "").digest("hex");
+}
+
+const NONCE_RE = /^[0-9a-f]{16,64}$/i;
+
+function computeSignature(secret, { timestamp, nonce, method, path, body }) {
+  const payload = `${timestamp}\n${nonce}\n${String(method).toUpperCase()}\n${path}\n${sha256Hex(body)}`;
+  return crypto.createHmac("sha256", secret).update(payload).digest("hex");
+}
+
+// Client helper: headers to add to a write request. `body` must be the exact string sent.
+function signRequest({ keyId, secret, method, path, body = "" }) {
+  if (!keyId || !secret) return {};
+  const timestamp = String(Date.now());
+  const nonce = crypto.randomBytes(16).toString("hex");
+  return {
+    "x-api-key": keyId,
+    "x-timestamp": timestamp,
+    "x-nonce": nonce,
+    "x-signature": computeSignature(secret, { timestamp, nonce, method, path, body }),
+  };
+}
+
+// Client credentials from env (empty strings when not configured)
+// prefix "WRITE_API" => WRITE_API_KEY_ID / WRITE_API_SECRET
+function clientCredentialsFromEnv(env = process.env, prefix = "WRITE_API") {
+  return { keyId: env[`${prefix}_KEY_ID`] || "", secret: env[`${prefix}_SECRET`] || "" };
+}
+
+// Client startup check: one signed GET on a route guarded by `scope`.
+// Rejects when the server refuses the key (401 / 403); an unreachable write server only
+// resolves false (writes are best effort / retried, it may just be starting).
+async function checkClientScope({ base, credentials, scope, path, timeoutMs = 5000 }) {
+  const ctrl = new AbortController();
+  const t = setTimeout(() => ctrl.abort(), timeoutMs);
+  let res;
+  try {
+    res = await fetch(`${base}${path}`, {
+      headers: signRequest({ ...credentials, method: "GET", path }),
+      signal: ctrl.signal,
+    });
+  } catch (e) {
+    console.warn(`[AUTH] scope "${scope}" not checked, write server unreachable (${base}): ${e.message}`);
+    return false;
+  } finally {
+    clearTimeout(t);
+  }
+  if (res.status === 401 || res.status === 403) {
+    throw new Error(`write key "${credentials.keyId || "-"}" refused for scope "${scope}" (HTTP ${res.status} on ${path})`);
+  }
+  return true;
+}
+
+function loadApiKeys(raw = process.env.WRITE_API_KEYS || "") {
+  const keys = new Map();
+  for (const entry of raw.split(",").map((s) => s.trim()).filter(Boolean)) {
+    const [id, secret, scopeList] = entry.split(":");
+    if (!id || !secret || !scopeList) throw new Error(`Invalid WRITE_API_KEYS entry for "${id || "?"}" (expected id:secret:scope)`);
+
+    const scopes = scopeList.split("|").map((s) => s.trim());
+    for (const s of scopes) {
+      if (!SCOPES.includes(s)) throw new Error(`Unknown scope "${s}" for key ${id} (${SCOPES.join("|")})`);
+    }
+    keys.set(id, { id, secret, scopes });
+  }
+  return keys;
+}
+
+function safeEqualHex(a, b) {
+  const ba = Buffer.from(String(a), "hex");
+  const bb = Buffer.from(String(b), "hex");
+  return ba.length === bb.length && ba.length > 0 && crypto.timingSafeEqual(ba, bb);
+}
+
+function logRejected(req, reason) {
+  const keyId = req.get("x-api-key") || "-";
+  console.warn(`[AUTH] rejected ${req.method} ${req.originalUrl} ip=${req.ip} key=${keyId}: ${reason}`);
+}
+
+// express.json({ verify: captureRawBody }) so the signature covers the exact bytes received
+function captureRawBody(req, res, buf) {
+  req.rawBody = buf;
+}
+
+// Verifies the signature and sets req.apiKey = { id, scopes }. Scope checks happen per route.
+function createWriteAuth({ keys = loadApiKeys(), disabled = process.env.WRITE_AUTH_DISABLED === "1" } = {}) {
+  if (disabled) {
+    console.warn("[AUTH] WRITE_AUTH_DISABLED=1 => write API is NOT authenticated (dev only)");
+  } else if (keys.size === 0) {
+    console.error("[AUTH] No WRITE_API_KEYS configured => every write request will be rejected");
+  }
+
+  // nonces already accepted inside the skew window (replay protection). Expired entries are
+  // purged on a timer: one still there only rejects a request its timestamp already rejects.
+  const seen = new Map(); // `${keyId}:${nonce}` -> expiresAt
+
+  const purger = setInterval(() => {
+    const now = Date.now();
+    for (const [k, exp] of seen) {
+      if (exp <= now) seen.delete(k);
+    }
+  }, MAX_SKEW_MS);
+  purger.unref();
+
+  return function writeAuth(req, res, next) {
+    if (disabled) {
+      req.apiKey = { id: "dev", scopes: ["admin"] };
+      return next();
+    }
+
+    const keyId = req.get("x-api-key");
+    const timestamp = req.get("x-timestamp");
+    const nonce = req.get("x-nonce");
+    const signature = req.get("x-signature");
+
+    function reject(reason) {
+      logRejected(req, reason);
+      res.status(401).json({ ok: false, error: "Unauthorized" });
+    }
+
+    if (!keyId || !timestamp || !nonce || !signature) return reject("missing auth headers");
+    if (!NONCE_RE.test(nonce)) return reject("malformed nonce");
+
+    const key = keys.get(keyId);
+    if (!key) return reject("unknown key");
+
+    const now = Date.now();
+    const ts = Number(timestamp);
+    if (!Number.isFinite(ts) || Math.abs(now - ts) > MAX_SKEW_MS) return reject("timestamp outside allowed skew");
+
+    const expected = computeSignature(key.secret, {
+      timestamp,
+      nonce,
+      method: req.method,
+      path: req.originalUrl,
+      body: req.rawBody,
+    });
+    if (!safeEqualHex(signature, expected)) return reject("bad signature");
+
+    const seenKey = `${key.id}:${nonce.toLowerCase()}`;
+    if (seen.has(seenKey)) return reject("replayed request");
+    seen.set(seenKey, ts + MAX_SKEW_MS);
+
+    req.apiKey = { id: key.id, scopes: key.scopes };
+    next();
+  };
+}
+
+// Route guard: router.put("/trade/:id", requireScope("sync"), handler). admin passes every check.
+function requireScope(scope) {
+  return function scopeGuard(req, res, next) {
+    const scopes = req.apiKey?.scopes || [];
+    if (scopes.includes(scope) || scopes.includes("admin")) return next();
+    logRejected(req, `missing scope "${scope}"`);
+    res.status(403).json({ ok: false, error: "Forbidden" });
+  };
+}
+
+module.exports = {
+  createWriteAuth,
+  requireScope,
+  captureRawBody,
+  signRequest,
+  clientCredentialsFromEnv,
+  checkClientScope,
+  loadApiKeys,
+};
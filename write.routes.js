@@ -1,12 +1,17 @@
 // write.routes.js
 // PRIVATE write endpoints (bind this server to 127.0.0.1 only).
+// Requests are HMAC-signed (write.auth.js); trade writes need the "sync" scope,
+// execution tracking the "executor" scope, asset edits "admin".
 // You provide the trade id in the URL.
 
 const express = require("express");
 const { stmt, tx } = require("./db");
+const { requireScope } = require("./write.auth");
 
 // <-- AJOUT : Import du service des expositions
 const { updateExposure } = require("./services/exposures");
+const { saveAsset } = require("./services/assets");
+const { decodeTradeEventCode } = require("./services/tradeEventCodes");
 
 const router = express.Router();
 
@@ -31,6 +36,22 @@ function toBoolInt(v, name) {
   throw new Error(`Invalid ${name} (expected boolean)`);
 }
 
+const BLOCK_HASH_RE = /^0x[0-9a-fA-F]{64}$/;
+
+// Block the data was read at: { number, hash } => DB stamp (absent => keep the row's stamp)
+function toBlockRef(number, hash, name = "syncBlock") {
+  if ((number === undefined || number === null) && (hash === undefined || hash === null)) return null;
+  const n = toInt(number, name);
+  if (n < 0) throw new Error(`Invalid ${name}`);
+  if (typeof hash !== "string" || !BLOCK_HASH_RE.test(hash)) throw new Error(`Invalid ${name}Hash`);
+  return { number: n, hash: hash.toLowerCase() };
+}
+
+function toStamp(b) {
+  const ref = toBlockRef(b.syncBlock, b.syncBlockHash);
+  return { syncBlock: ref ? ref.number : null, syncBlockHash: ref ? ref.hash : null };
+}
+
 function requireTradeExists(id) {
   const row = stmt.getTradeById.get(id);
   if (!row) {
@@ -46,7 +67,7 @@ function requireTradeExists(id) {
  * Full upsert (insert or replace/update) with your provided id.
  * Body fields are expected in E6 for prices.
  */
-router.put("/trade/:id", (req, res) => {
+router.put("/trade/:id", requireScope("sync"), (req, res) => {
   try {
     const id = toInt(req.params.id, "id");
     const b = req.body || {};
@@ -73,6 +94,7 @@ router.put("/trade/:id", (req, res) => {
 
       lpLockedCapital: b.lpLockedCapital === undefined || b.lpLockedCapital === null ? null : String(b.lpLockedCapital),
       marginUsdc: b.marginUsdc === undefined || b.marginUsdc === null ? null : String(b.marginUsdc),
+      ...toStamp(b),
     };
 
     if (!payload.trader.startsWith("0x") || payload.trader.length < 10) {
@@ -84,7 +106,7 @@ router.put("/trade/:id", (req, res) => {
       return res.status(400).json({ ok: false, error: "state=2 requires closePrice != 0" });
     }
 
-    const trade = tx.upsertTrade(payload);
+    const trade = tx.upsertTrade(payload, "put");
     
     // <-- AJOUT : Met à jour l'exposition de cet actif spécifique en arrière-plan
     updateExposure(payload.assetId).catch(err => console.error(`[Exposures] Erreur maj expo ${payload.assetId}:`, err));
@@ -99,7 +121,7 @@ router.put("/trade/:id", (req, res) => {
  * PATCH /trade/:id
  * Partial updates: state, closePrice, stopLoss, takeProfit, closedLotSize, marginUsdc, lpLockedCapital, fundingIndex
  */
-router.patch("/trade/:id", (req, res) => {
+router.patch("/trade/:id", requireScope("sync"), (req, res) => {
   try {
     const id = toInt(req.params.id, "id");
     const existing = requireTradeExists(id);
@@ -128,14 +150,44 @@ router.patch("/trade/:id", (req, res) => {
       if (patch.closedLotSize === null) patch.closedLotSize = existing.lotSize;
     }
 
-    const trade = tx.patchTrade(patch);
+    const trade = tx.patchTrade(patch, "patch");
     res.json({ ok: true, trade });
   } catch (e) {
     res.status(e.status || 400).json({ ok: false, error: e.message || "Bad request" });
   }
 });
 
-router.post("/trades/batchUpsert", (req, res) => {
+// Batch item => payload like PUT /trade/:id builds (batchUpsert, reorg rollback)
+function toBatchTradePayload(b) {
+  const id = Number(b.id);
+  if (!Number.isFinite(id)) throw new Error("Invalid id in batch");
+
+  const trader = normalizeAddress(b.trader);
+  if (!trader.startsWith("0x") || trader.length < 10) throw new Error(`Invalid trader for id=${id}`);
+
+  return {
+    id,
+    trader,
+    assetId: toInt(b.assetId, "assetId"),
+    isLong: toBoolInt(b.isLong, "isLong"),
+    isLimit: toBoolInt(b.isLimit, "isLimit"),
+    leverage: b.leverage === undefined || b.leverage === null ? null : toInt(b.leverage, "leverage"),
+    openPrice: b.openPrice === undefined || b.openPrice === null ? null : toInt(b.openPrice, "openPrice"),
+    state: toInt(b.state, "state"),
+    openTimestamp: b.openTimestamp === undefined || b.openTimestamp === null ? null : toInt(b.openTimestamp, "openTimestamp"),
+    fundingIndex: b.fundingIndex === undefined || b.fundingIndex === null ? null : String(b.fundingIndex),
+    closePrice: b.closePrice === undefined || b.closePrice === null ? 0 : toInt(b.closePrice, "closePrice"),
+    lotSize: b.lotSize === undefined || b.lotSize === null ? null : toInt(b.lotSize, "lotSize"),
+    closedLotSize: b.closedLotSize === undefined || b.closedLotSize === null ? 0 : toInt(b.closedLotSize, "closedLotSize"),
+    stopLoss: b.stopLoss === undefined || b.stopLoss === null ? 0 : toInt(b.stopLoss, "stopLoss"),
+    takeProfit: b.takeProfit === undefined || b.takeProfit === null ? 0 : toInt(b.takeProfit, "takeProfit"),
+    lpLockedCapital: b.lpLockedCapital === undefined || b.lpLockedCapital === null ? null : String(b.lpLockedCapital),
+    marginUsdc: b.marginUsdc === undefined || b.marginUsdc === null ? null : String(b.marginUsdc),
+    ...toStamp(b),
+  };
+}
+
+router.post("/trades/batchUpsert", requireScope("sync"), (req, res) => {
     try {
       const items = req.body?.trades;
       if (!Array.isArray(items) || items.length === 0) {
@@ -146,42 +198,10 @@ router.post("/trades/batchUpsert", (req, res) => {
       }
   
       // Build payloads like PUT /trade/:id expects, but in batch.
-      const payloads = items.map((b) => {
-        const id = Number(b.id);
-        if (!Number.isFinite(id)) throw new Error("Invalid id in batch");
-  
-        const trader = normalizeAddress(b.trader);
-        if (!trader.startsWith("0x") || trader.length < 10) throw new Error(`Invalid trader for id=${id}`);
-  
-        return {
-          id,
-          trader,
-          assetId: toInt(b.assetId, "assetId"),
-          isLong: toBoolInt(b.isLong, "isLong"),
-          isLimit: toBoolInt(b.isLimit, "isLimit"),
-          leverage: b.leverage === undefined || b.leverage === null ? null : toInt(b.leverage, "leverage"),
-          openPrice: b.openPrice === undefined || b.openPrice === null ? null : toInt(b.openPrice, "openPrice"),
-          state: toInt(b.state, "state"),
-          openTimestamp: b.openTimestamp === undefined || b.openTimestamp === null ? null : toInt(b.openTimestamp, "openTimestamp"),
-          fundingIndex: b.fundingIndex === undefined || b.fundingIndex === null ? null : String(b.fundingIndex),
-          closePrice: b.closePrice === undefined || b.closePrice === null ? 0 : toInt(b.closePrice, "closePrice"),
-          lotSize: b.lotSize === undefined || b.lotSize === null ? null : toInt(b.lotSize, "lotSize"),
-          closedLotSize: b.closedLotSize === undefined || b.closedLotSize === null ? 0 : toInt(b.closedLotSize, "closedLotSize"),
-          stopLoss: b.stopLoss === undefined || b.stopLoss === null ? 0 : toInt(b.stopLoss, "stopLoss"),
-          takeProfit: b.takeProfit === undefined || b.takeProfit === null ? 0 : toInt(b.takeProfit, "takeProfit"),
-          lpLockedCapital: b.lpLockedCapital === undefined || b.lpLockedCapital === null ? null : String(b.lpLockedCapital),
-          marginUsdc: b.marginUsdc === undefined || b.marginUsdc === null ? null : String(b.marginUsdc),
-        };
-      });
-  
-      // Do one transaction for the whole batch (fast + safe)
-      const { db, stmt } = require("./db");
-      const runBatch = db.transaction((ps) => {
-        for (const p of ps) stmt.upsertTrade.run(p);
-        return ps.length;
-      });
+      const payloads = items.map(toBatchTradePayload);
   
-      const count = runBatch(payloads);
+      // Do one transaction for the whole batch (fast + safe), history rows included
+      const count = tx.batchUpsert(payloads);
       
       // <-- AJOUT : Mettre à jour l'exposition une seule fois par actif concerné dans le lot
       const uniqueAssetIds = [...new Set(payloads.map(p => p.assetId))];
@@ -195,7 +215,7 @@ router.post("/trades/batchUpsert", (req, res) => {
     }
 });
 
-router.post("/trades/batchPatchStates", (req, res) => {
+router.post("/trades/batchPatchStates", requireScope("sync"), (req, res) => {
   try {
     const items = req.body?.patches;
     if (!Array.isArray(items) || items.length === 0) {
@@ -213,10 +233,10 @@ router.post("/trades/batchPatchStates", (req, res) => {
         closePrice: b.closePrice === undefined || b.closePrice === null ? null : toInt(b.closePrice, "closePrice"),
         closedLotSize: b.closedLotSize === undefined || b.closedLotSize === null ? null : toInt(b.closedLotSize, "closedLotSize"),
         fundingIndex: b.fundingIndex === undefined || b.fundingIndex === null ? null : String(b.fundingIndex),
+        ...toStamp(b),
       };
     });
 
-    const { tx } = require("./db");
     const updated = tx.batchPatchStates(patches);
     res.json({ ok: true, updated });
   } catch (e) {
@@ -224,7 +244,7 @@ router.post("/trades/batchPatchStates", (req, res) => {
   }
 });
 
-router.post("/trades/batchPatchSLTP", (req, res) => {
+router.post("/trades/batchPatchSLTP", requireScope("sync"), (req, res) => {
   try {
     const items = req.body?.patches;
     if (!Array.isArray(items) || items.length === 0) {
@@ -240,16 +260,278 @@ router.post("/trades/batchPatchSLTP", (req, res) => {
         id,
         stopLoss: b.stopLoss === undefined || b.stopLoss === null ? null : toInt(b.stopLoss, "stopLoss"),
         takeProfit: b.takeProfit === undefined || b.takeProfit === null ? null : toInt(b.takeProfit, "takeProfit"),
+        ...toStamp(b),
       };
     });
 
-    const { tx } = require("./db");
     const updated = tx.batchPatchSLTP(patches);
     res.json({ ok: true, updated });
   } catch (e) {
     res.status(e.status || 400).json({ ok: false, error: e.message || "Bad request" });
   }
 });
-  
+
+/**
+ * POST /trades/lifecycle
+ * Body: { events: [{ tradeId, code, blockNumber, blockHash, txHash, logIndex }] } = TradeEvent logs.
+ * The type is decoded here (services/tradeEventCodes.js); logs already stored are ignored.
+ */
+router.post("/trades/lifecycle", requireScope("sync"), (req, res) => {
+  try {
+    const items = req.body?.events;
+    if (!Array.isArray(items) || items.length === 0) {
+      return res.status(400).json({ ok: false, error: "Body must include events: []" });
+    }
+    if (items.length > 5000) {
+      return res.status(400).json({ ok: false, error: "Too many events in one batch (max 5000)" });
+    }
+
+    const events = items.map((b) => {
+      const code = toInt(b.code, "code");
+      if (code < 0 || code > 255) throw new Error("Invalid code (uint8)");
+      const block = toBlockRef(b.blockNumber, b.blockHash, "block");
+      if (!block) throw new Error("Missing blockNumber");
+      if (typeof b.txHash !== "string" || !BLOCK_HASH_RE.test(b.txHash)) throw new Error("Invalid txHash");
+      const logIndex = toInt(b.logIndex, "logIndex");
+      if (logIndex < 0) throw new Error("Invalid logIndex");
+
+      return {
+        tradeId: toInt(b.tradeId, "tradeId"),
+        code,
+        type: decodeTradeEventCode(code).type,
+        blockNumber: block.number,
+        blockHash: block.hash,
+        txHash: b.txHash.toLowerCase(),
+        logIndex,
+      };
+    });
+
+    const inserted = tx.insertLifecycle(events);
+    res.json({ ok: true, inserted });
+  } catch (e) {
+    res.status(e.status || 400).json({ ok: false, error: e.message || "Bad request" });
+  }
+});
+
+// --------------------
+// Sync cursors (sync.js --mode events)
+// --------------------
+const CURSOR_NAME_RE = /^[a-zA-Z0-9_.:-]{1,64}$/;
+
+/**
+ * GET /sync/cursor/:name
+ */
+router.get("/sync/cursor/:name", requireScope("sync"), (req, res) => {
+  const name = req.params.name;
+  if (!CURSOR_NAME_RE.test(name)) return res.status(400).json({ ok: false, error: "Invalid cursor name" });
+  res.json({ ok: true, cursor: stmt.getSyncCursor.get(name) || null });
+});
+
+/**
+ * PUT /sync/cursor/:name
+ * Body: { block } = last block whose events are fully applied
+ */
+router.put("/sync/cursor/:name", requireScope("sync"), (req, res) => {
+  try {
+    const name = req.params.name;
+    if (!CURSOR_NAME_RE.test(name)) return res.status(400).json({ ok: false, error: "Invalid cursor name" });
+
+    const block = toInt(req.body?.block, "block");
+    if (block < 0) return res.status(400).json({ ok: false, error: "block must be >= 0" });
+
+    stmt.upsertSyncCursor.run({ name, block, updatedAt: Date.now() });
+    res.json({ ok: true, cursor: stmt.getSyncCursor.get(name) });
+  } catch (e) {
+    res.status(e.status || 400).json({ ok: false, error: e.message || "Bad request" });
+  }
+});
+
+// --------------------
+// Reorgs (sync.js --mode reorg): trade rows carry the block they were read at
+// --------------------
+function toBlockRefs(list, name) {
+  if (!Array.isArray(list)) throw new Error(`Body must include ${name}: []`);
+  if (list.length > 1000) throw new Error(`Too many ${name} (max 1000)`);
+  return list.map((b) => toBlockRef(b?.number, b?.hash, "block"));
+}
+
+/**
+ * POST /sync/finalize
+ * Body: { blocks: [{ number, hash }] } still canonical and past the confirmation depth
+ */
+router.post("/sync/finalize", requireScope("sync"), (req, res) => {
+  try {
+    const blocks = toBlockRefs(req.body?.blocks, "blocks");
+    const finalized = tx.finalizeBlocks(blocks);
+    res.json({ ok: true, finalized });
+  } catch (e) {
+    res.status(e.status || 400).json({ ok: false, error: e.message || "Bad request" });
+  }
+});
+
+/**
+ * POST /sync/reorg
+ * Body: { orphaned: [{ number, hash }], trades: [...canonical rows, like batchUpsert], deleteIds: [id] }
+ * Rolls back rows written from orphaned blocks in one transaction: canonical rows are
+ * upserted (history source "reorg"), trades gone from the chain are deleted.
+ */
+router.post("/sync/reorg", requireScope("sync"), (req, res) => {
+  try {
+    const b = req.body || {};
+    const orphaned = toBlockRefs(b.orphaned, "orphaned");
+    if (!orphaned.length) return res.status(400).json({ ok: false, error: "orphaned must not be empty" });
+
+    const items = b.trades === undefined ? [] : b.trades;
+    const ids = b.deleteIds === undefined ? [] : b.deleteIds;
+    if (!Array.isArray(items) || !Array.isArray(ids)) {
+      return res.status(400).json({ ok: false, error: "trades and deleteIds must be arrays" });
+    }
+    if (items.length + ids.length > 2000) {
+      return res.status(400).json({ ok: false, error: "Too many trades in one batch (max 2000)" });
+    }
+
+    const payloads = items.map(toBatchTradePayload);
+    const deleteIds = ids.map((id) => toInt(id, "deleteIds[]"));
+
+    const before = deleteIds.map((id) => stmt.getTradeById.get(id)).filter(Boolean);
+    const r = tx.rollbackReorg({ orphaned, payloads, deleteIds });
+
+    const assetIds = new Set([...payloads.map((p) => p.assetId), ...before.map((t) => t.assetId)]);
+    for (const assetId of assetIds) {
+      updateExposure(assetId).catch(err => console.error(`[Exposures] Erreur maj expo reorg ${assetId}:`, err));
+    }
+
+    res.json({ ok: true, ...r });
+  } catch (e) {
+    res.status(e.status || 400).json({ ok: false, error: e.message || "Bad request" });
+  }
+});
+
+// --------------------
+// Executions (tracked onchain transactions, scope "executor")
+// --------------------
+const EXECUTION_KINDS = ["entry", "exit"];
+// skipped: not sent, the pre-flight simulation reverted
+const EXECUTION_STATUSES = ["pending", "mined", "reverted", "replaced", "dropped", "failed", "skipped"];
+const ERROR_CLASSES = ["retryable", "terminal"];
+
+function toEnum(v, name, allowed, { allowNull = false } = {}) {
+  if (v === undefined || v === null) {
+    if (allowNull) return null;
+    throw new Error(`Missing ${name}`);
+  }
+  if (!allowed.includes(v)) throw new Error(`Invalid ${name} (${allowed.join("|")})`);
+  return v;
+}
+
+function toOptString(v) {
+  return v === undefined || v === null ? null : String(v);
+}
+
+/**
+ * POST /executions
+ * Record one submission (or a failed attempt to submit).
+ * Body: tradeId, kind, wallet, nonce?, hash?, gasLimit?, gasPrice?, maxFeePerGas?, maxPriorityFeePerGas?,
+ *       status, attempt?, replaces?, errorClass?, error?
+ */
+router.post("/executions", requireScope("executor"), (req, res) => {
+  try {
+    const b = req.body || {};
+    const now = Date.now();
+
+    const row = {
+      tradeId: toInt(b.tradeId, "tradeId"),
+      kind: toEnum(b.kind, "kind", EXECUTION_KINDS),
+      wallet: normalizeAddress(b.wallet),
+      nonce: toInt(b.nonce, "nonce", { allowNull: true }),
+      hash: toOptString(b.hash),
+      gasLimit: toOptString(b.gasLimit),
+      gasPrice: toOptString(b.gasPrice),
+      maxFeePerGas: toOptString(b.maxFeePerGas),
+      maxPriorityFeePerGas: toOptString(b.maxPriorityFeePerGas),
+      status: toEnum(b.status, "status", EXECUTION_STATUSES),
+      attempt: b.attempt === undefined || b.attempt === null ? 1 : toInt(b.attempt, "attempt"),
+      replaces: toInt(b.replaces, "replaces", { allowNull: true }),
+      blockNumber: toInt(b.blockNumber, "blockNumber", { allowNull: true }),
+      errorClass: toEnum(b.errorClass, "errorClass", ERROR_CLASSES, { allowNull: true }),
+      error: b.error === undefined || b.error === null ? null : String(b.error).slice(0, 500),
+      createdAt: now,
+      updatedAt: now,
+    };
+
+    if (!row.wallet.startsWith("0x") || row.wallet.length < 10) {
+      return res.status(400).json({ ok: false, error: "Invalid wallet address" });
+    }
+
+    const info = stmt.insertExecution.run(row);
+    res.json({ ok: true, execution: stmt.getExecutionById.get(info.lastInsertRowid) });
+  } catch (e) {
+    res.status(e.status || 400).json({ ok: false, error: e.message || "Bad request" });
+  }
+});
+
+/**
+ * PATCH /executions/:id
+ * Lifecycle update: status, hash, blockNumber, errorClass, error
+ */
+router.patch("/executions/:id", requireScope("executor"), (req, res) => {
+  try {
+    const id = toInt(req.params.id, "id");
+    const b = req.body || {};
+
+    const info = stmt.patchExecution.run({
+      id,
+      status: toEnum(b.status, "status", EXECUTION_STATUSES, { allowNull: true }),
+      hash: toOptString(b.hash),
+      blockNumber: toInt(b.blockNumber, "blockNumber", { allowNull: true }),
+      errorClass: toEnum(b.errorClass, "errorClass", ERROR_CLASSES, { allowNull: true }),
+      error: b.error === undefined || b.error === null ? null : String(b.error).slice(0, 500),
+      updatedAt: Date.now(),
+    });
+    if (info.changes === 0) return res.status(404).json({ ok: false, error: "Execution not found" });
+
+    res.json({ ok: true, execution: stmt.getExecutionById.get(id) });
+  } catch (e) {
+    res.status(e.status || 400).json({ ok: false, error: e.message || "Bad request" });
+  }
+});
+
+/**
+ * GET /executions?tradeId=|status=&limit=
+ * Private read (ops / debugging), newest first
+ */
+router.get("/executions", requireScope("executor"), (req, res) => {
+  try {
+    const limit = req.query.limit === undefined ? 100 : Math.min(1000, Math.max(1, toInt(req.query.limit, "limit")));
+
+    let executions;
+    if (req.query.tradeId !== undefined) {
+      executions = stmt.getExecutionsByTrade.all(toInt(req.query.tradeId, "tradeId"), limit);
+    } else {
+      const status = toEnum(req.query.status || "pending", "status", EXECUTION_STATUSES);
+      executions = stmt.getExecutionsByStatus.all(status, limit);
+    }
+    res.json({ ok: true, count: executions.length, executions });
+  } catch (e) {
+    res.status(e.status || 400).json({ ok: false, error: e.message || "Bad request" });
+  }
+});
+
+/**
+ * PUT /assets/:id  (admin)
+ * Insert or update one asset of the registry: symbol, class, session, priceDecimals,
+ * minLeverage, maxLeverage, enabled. Takes effect immediately for this process;
+ * executors pick it up on their next registry refresh.
+ */
+router.put("/assets/:id", requireScope("admin"), (req, res) => {
+  try {
+    const id = toInt(req.params.id, "id");
+    const asset = saveAsset({ ...(req.body || {}), id });
+    updateExposure(asset.id).catch(err => console.error(`[Exposures] Erreur maj expo ${asset.id}:`, err));
+    res.json({ ok: true, asset });
+  } catch (e) {
+    res.status(e.status || 400).json({ ok: false, error: e.message || "Bad request" });
+  }
+});
 
 module.exports = router;
\ No newline at end of file